@@ -0,0 +1,120 @@
+import express from 'express';
+import { createBatch, getBatch, getBatchStatus, getBatchResult, cancelBatch, BATCH_MAX_URLS } from '../services/batches.js';
+import { PRIORITIES } from '../services/jobQueue.js';
+import { parseProcessingOptions, isValidUrl } from '../utils/extractOptions.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+/**
+ * Flatten a combined batch result to one CSV row per track (and per failed video)
+ */
+function batchResultToCsv(result) {
+  const rows = [];
+  for (const video of result.videos) {
+    if (video.tracks.length === 0) {
+      rows.push([video.videoUrl, video.title, 'completed', '', '', '', '', '', '']);
+    }
+    for (const track of video.tracks) {
+      for (const occurrence of track.occurrences || [{ ...track.timestamp, confidence: track.confidence }]) {
+        rows.push([video.videoUrl, video.title, 'completed', track.title, track.artist, occurrence.start, occurrence.end, occurrence.confidence, '']);
+      }
+    }
+  }
+  for (const failure of result.failures) {
+    rows.push([failure.videoUrl, '', failure.status, '', '', '', '', '', failure.error]);
+  }
+
+  return toCsv(['video_url', 'video_title', 'status', 'track_title', 'artist', 'start', 'end', 'confidence', 'error'], rows);
+}
+
+// POST /api/batches - Process many videos with shared options
+router.post('/batches', async (req, res) => {
+  try {
+    const { urls, priority = 'low' } = req.body;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'urls must be a non-empty array of video URLs' });
+    }
+    const uniqueUrls = [...new Set(urls.map(url => (typeof url === 'string' ? url.trim() : url)))];
+    if (uniqueUrls.length > BATCH_MAX_URLS) {
+      return res.status(400).json({ error: `A batch can contain at most ${BATCH_MAX_URLS} videos` });
+    }
+    const invalid = uniqueUrls.filter(url => !isValidUrl(url));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid URL format', invalid: invalid.slice(0, 20) });
+    }
+
+    const { options, error: optionsError } = parseProcessingOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    if (!(priority in PRIORITIES)) {
+      return res.status(400).json({ error: `priority must be one of: ${Object.keys(PRIORITIES).join(', ')}` });
+    }
+
+    const batch = await createBatch({ urls: uniqueUrls, options, priority });
+    res.json({
+      batchId: batch.batchId,
+      total: batch.taskIds.length,
+      taskIds: batch.taskIds,
+      status: 'processing',
+      message: 'Batch created'
+    });
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({ error: 'Failed to create batch' });
+  }
+});
+
+// GET /api/batches/:batchId - Aggregate progress and per-video status
+router.get('/batches/:batchId', (req, res) => {
+  const batch = getBatch(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(getBatchStatus(batch));
+});
+
+// GET /api/batches/:batchId/result?format=json|csv - Combined tracklists and failures
+router.get('/batches/:batchId/result', (req, res) => {
+  try {
+    const batch = getBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+
+    const result = getBatchResult(batch);
+    res.attachment(`batch-${batch.batchId}.${format}`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(batchResultToCsv(result));
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error building batch result:', error);
+    res.status(500).json({ error: 'Failed to build batch result' });
+  }
+});
+
+// DELETE /api/batches/:batchId - Cancel every video that hasn't finished
+router.delete('/batches/:batchId', async (req, res) => {
+  try {
+    const batch = getBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const cancelled = await cancelBatch(batch);
+    res.json({ batchId: batch.batchId, cancelled });
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({ error: 'Failed to cancel batch' });
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { getCacheStats, clearCache } from '../services/identCache.js';
+
+const router = express.Router();
+
+// GET /api/cache/stats - Size and hit rate of the identification cache
+router.get('/cache/stats', async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({ error: 'Failed to get cache stats' });
+  }
+});
+
+// DELETE /api/cache - Drop every cached identification (positive and negative)
+router.delete('/cache', async (req, res) => {
+  try {
+    const cleared = await clearCache();
+    console.log(`🧹 Cleared ${cleared} identification cache entries`);
+    res.json({ cleared });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { addTrack, getTrack, listTracks, removeTrack } from '../services/fingerprintIndex.js';
+import { importDirectory, importManifest } from '../services/catalogImporter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(__dirname, '../../downloads');
+const MAX_CATALOG_UPLOAD_SIZE = parseInt(process.env.MAX_CATALOG_UPLOAD_SIZE) || 100 * 1024 * 1024; // 100MB
+
+const upload = multer({
+  dest: path.join(DOWNLOAD_DIR, 'catalog-uploads'),
+  limits: { fileSize: MAX_CATALOG_UPLOAD_SIZE }
+});
+
+const router = express.Router();
+
+// POST /api/catalog/tracks - Upload and fingerprint a reference track
+router.post('/catalog/tracks', (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Audio file is required (multipart field "file")' });
+    }
+
+    try {
+      const { title, artist, album, isrc } = req.body;
+      const track = await addTrack(req.file.path, {
+        title: title || path.parse(req.file.originalname).name,
+        artist,
+        album,
+        isrc
+      });
+      res.status(201).json({ track });
+    } catch (error) {
+      console.error('Error adding catalog track:', error);
+      res.status(422).json({ error: `Failed to fingerprint track: ${error.message}` });
+    } finally {
+      fs.remove(req.file.path).catch(() => {});
+    }
+  });
+});
+
+// POST /api/catalog/import - Bulk import from a server-side directory or CSV manifest
+router.post('/catalog/import', async (req, res) => {
+  try {
+    const { directory, manifest } = req.body || {};
+
+    if (!directory && !manifest) {
+      return res.status(400).json({ error: 'Either "directory" or "manifest" is required' });
+    }
+    if (directory && manifest) {
+      return res.status(400).json({ error: 'Give either "directory" or "manifest", not both' });
+    }
+    if ((directory && typeof directory !== 'string') || (manifest && typeof manifest !== 'string')) {
+      return res.status(400).json({ error: '"directory" and "manifest" must be paths (strings)' });
+    }
+
+    const { imported, failed } = directory
+      ? await importDirectory(directory)
+      : await importManifest(manifest);
+
+    res.json({
+      imported: imported.length,
+      failed: failed.length,
+      tracks: imported,
+      failures: failed
+    });
+  } catch (error) {
+    console.error('Error importing catalog:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Catalog import failed' });
+  }
+});
+
+// GET /api/catalog/tracks - List reference tracks
+router.get('/catalog/tracks', async (req, res) => {
+  try {
+    const tracks = await listTracks();
+    res.json({ total: tracks.length, tracks });
+  } catch (error) {
+    console.error('Error listing catalog:', error);
+    res.status(500).json({ error: 'Failed to list catalog' });
+  }
+});
+
+// GET /api/catalog/tracks/:trackId - Get a single reference track
+router.get('/catalog/tracks/:trackId', async (req, res) => {
+  try {
+    const track = await getTrack(req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.json({ track });
+  } catch (error) {
+    console.error('Error getting catalog track:', error);
+    res.status(500).json({ error: 'Failed to get track' });
+  }
+});
+
+// DELETE /api/catalog/tracks/:trackId - Remove a reference track from the index
+router.delete('/catalog/tracks/:trackId', async (req, res) => {
+  try {
+    const removed = await removeTrack(req.params.trackId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.json({ trackId: req.params.trackId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting catalog track:', error);
+    res.status(500).json({ error: 'Failed to delete track' });
+  }
+});
+
+export default router;
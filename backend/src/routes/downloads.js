@@ -0,0 +1,101 @@
+import express from 'express';
+import path from 'path';
+import { getJob } from '../services/jobStore.js';
+import {
+  listArtifacts,
+  createDownloadToken,
+  checkDownloadToken,
+  prepareDownload,
+  getDownloadName,
+  DOWNLOAD_FORMATS,
+  DOWNLOAD_BITRATES
+} from '../services/downloads.js';
+
+const router = express.Router();
+
+function findCompletedJob(req, res) {
+  const job = getJob(req.params.taskId);
+  if (!job) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  if (job.status !== 'completed') {
+    res.status(409).json({ taskId: job.taskId, status: job.status, error: 'Results are not available for this task' });
+    return null;
+  }
+  return job;
+}
+
+// GET /api/jobs/:taskId/downloads - Downloadable files of a job, each with an expiring link
+router.get('/jobs/:taskId/downloads', async (req, res) => {
+  try {
+    const job = findCompletedJob(req, res);
+    if (!job) return;
+
+    const artifacts = await listArtifacts(job);
+    res.json({
+      taskId: job.taskId,
+      artifacts: artifacts.map(({ name, size }) => {
+        const { token, expiresAt } = createDownloadToken(job.taskId, name);
+        return {
+          name,
+          size,
+          url: `/api/jobs/${job.taskId}/downloads/${name}?token=${token}`,
+          expiresAt
+        };
+      }),
+      formats: Object.keys(DOWNLOAD_FORMATS),
+      bitrates: DOWNLOAD_BITRATES
+    });
+  } catch (error) {
+    console.error('Error listing downloads:', error);
+    res.status(500).json({ error: 'Failed to list downloads' });
+  }
+});
+
+// GET /api/jobs/:taskId/downloads/:artifact?token=&format=&bitrate= - Download (or stream) one file
+router.get('/jobs/:taskId/downloads/:artifact', async (req, res) => {
+  try {
+    const { taskId, artifact: name } = req.params;
+    const tokenError = checkDownloadToken(taskId, name, req.query.token);
+    if (tokenError) {
+      return res.status(403).json({ error: tokenError });
+    }
+
+    const job = findCompletedJob(req, res);
+    if (!job) return;
+
+    // Repeated query parameters arrive as arrays
+    const { format } = req.query;
+    if (format !== undefined && (typeof format !== 'string' || !Object.hasOwn(DOWNLOAD_FORMATS, format))) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(DOWNLOAD_FORMATS).join(', ')}` });
+    }
+    const bitrate = req.query.bitrate === undefined ? undefined : typeof req.query.bitrate === 'string' ? Number(req.query.bitrate) : NaN;
+    if (bitrate !== undefined && !DOWNLOAD_BITRATES.includes(bitrate)) {
+      return res.status(400).json({ error: `bitrate must be one of: ${DOWNLOAD_BITRATES.join(', ')} (kbps)` });
+    }
+
+    const artifact = (await listArtifacts(job)).find(candidate => candidate.name === name);
+    if (!artifact) {
+      return res.status(410).json({ error: 'This file is no longer available' });
+    }
+
+    const file = await prepareDownload(job, artifact, format, bitrate);
+    res.attachment(getDownloadName(job, artifact, format));
+    if (format) {
+      res.type(DOWNLOAD_FORMATS[format].contentType);
+    }
+    // sendFile answers Range requests, so the file can be streamed and seeked
+    res.sendFile(path.resolve(file), (err) => {
+      if (err && !res.headersSent) {
+        console.error('Download error:', err);
+        res.status(500).json({ error: 'Download failed' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+export default router;
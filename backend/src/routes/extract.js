@@ -1,11 +1,38 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import path from 'path';
-import fs from 'fs-extra';
-import { processVideo } from '../services/videoProcessor.js';
+import { enqueueJob, cancelJob, isQueueFull, getQueuePosition, getQueueStats, PRIORITIES } from '../services/jobQueue.js';
+import { createJob, getJob, listJobs } from '../services/jobStore.js';
+import { getQuotaStatus } from '../services/quotaBudget.js';
+import { subscribeJobEvents } from '../services/jobEvents.js';
+import { isWebhookConfigured, checkCallbackUrl } from '../services/webhooks.js';
+import { createBatch, BATCH_MAX_URLS } from '../services/batches.js';
+import { isPlaylistUrl, expandPlaylist } from '../services/videoDownloader.js';
+import { parseProcessingOptions, parsePlaylistOptions, isValidUrl } from '../utils/extractOptions.js';
+import { exportTracklist, EXPORT_FORMATS, EDL_FRAME_RATES } from '../utils/tracklistExport.js';
 
 const router = express.Router();
 
+// SSE keep-alive (also refreshes the queue position of waiting jobs)
+const EVENTS_HEARTBEAT_INTERVAL = 10000;
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'interrupted', 'cancelled']);
+
+/**
+ * Status fields shared by GET /api/status and the SSE snapshot
+ */
+async function getStatusSnapshot(job) {
+  return {
+    taskId: job.taskId,
+    status: job.status,
+    stage: job.stage || null,
+    progress: job.progress,
+    downloadProgress: job.downloadProgress || 0, // Include download progress
+    createdAt: job.createdAt,
+    ...(job.status === 'queued' && { queuePosition: await getQueuePosition(job.taskId) }),
+    ...(job.warning && { warning: job.warning }),
+    ...(job.error && { error: job.error })
+  };
+}
+
 // Debug endpoint to check ACRCloud config (remove in production)
 router.get('/debug/acrcloud', (req, res) => {
   const hasKey = !!process.env.ACRCLOUD_ACCESS_KEY;
@@ -22,53 +49,132 @@ router.get('/debug/acrcloud', (req, res) => {
   });
 });
 
-// In-memory job storage (for MVP, use Redis in production)
-const jobs = new Map();
+// GET /api/quota - Request budget usage per metered recognition provider
+router.get('/quota', async (req, res) => {
+  try {
+    res.json({ providers: await getQuotaStatus(['acrcloud', 'audd']) });
+  } catch (error) {
+    console.error('Error getting quota status:', error);
+    res.status(500).json({ error: 'Failed to get quota status' });
+  }
+});
+
+/**
+ * Expand a playlist/channel URL into a batch with one child job per video
+ */
+async function startPlaylist(res, { videoUrl, priority, callbackUrl, options, playlistOptions }) {
+  let playlist;
+  try {
+    playlist = await expandPlaylist(videoUrl, playlistOptions);
+  } catch (error) {
+    console.error('Error expanding playlist:', error.message || error);
+    return res.status(422).json({ error: 'Could not list the videos of this playlist or channel' });
+  }
+
+  if (playlist.entries.length === 0) {
+    return res.status(422).json({
+      error: playlist.filteredOut > 0 ? 'No videos in this playlist match the date filter' : 'This playlist or channel has no videos',
+      scanned: playlist.scanned
+    });
+  }
+
+  const batch = await createBatch({
+    urls: [...new Set(playlist.entries.map(entry => entry.url))],
+    options,
+    priority,
+    callbackUrl,
+    source: {
+      type: 'playlist',
+      url: videoUrl,
+      title: playlist.title,
+      uploader: playlist.uploader,
+      ...playlistOptions
+    }
+  });
+  console.log(`📃 Playlist "${playlist.title}": ${batch.taskIds.length} videos (${playlist.scanned} listed, ${playlist.filteredOut} outside the date range)`);
+
+  res.json({
+    batchId: batch.batchId,
+    playlist: { title: playlist.title, uploader: playlist.uploader, webpageUrl: playlist.webpageUrl },
+    total: batch.taskIds.length,
+    taskIds: batch.taskIds,
+    status: 'processing',
+    message: `Processing ${batch.taskIds.length} videos from the playlist`
+  });
+}
 
-// POST /api/extract - Start video processing
+// POST /api/extract - Start video processing (playlist and channel URLs start a batch)
 router.post('/extract', async (req, res) => {
   try {
-    const { videoUrl } = req.body;
+    const { videoUrl, priority = 'normal', callbackUrl, playlist } = req.body;
 
     if (!videoUrl || typeof videoUrl !== 'string') {
       return res.status(400).json({ error: 'Video URL is required' });
     }
 
     // Validate URL format
-    try {
-      new URL(videoUrl);
-    } catch {
+    if (!isValidUrl(videoUrl)) {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    // Create job
+    const { options, error: optionsError } = parseProcessingOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    if (!(priority in PRIORITIES)) {
+      return res.status(400).json({ error: `priority must be one of: ${Object.keys(PRIORITIES).join(', ')}` });
+    }
+    if (callbackUrl !== undefined) {
+      if (typeof callbackUrl !== 'string') {
+        return res.status(400).json({ error: 'callbackUrl must be an http(s) URL' });
+      }
+      if (!isWebhookConfigured()) {
+        return res.status(400).json({ error: 'Webhooks are not enabled on this server (WEBHOOK_SECRET is not set)' });
+      }
+      const callbackError = await checkCallbackUrl(callbackUrl);
+      if (callbackError) {
+        return res.status(400).json({ error: callbackError });
+      }
+    }
+
+    if (playlist !== undefined && typeof playlist !== 'boolean') {
+      return res.status(400).json({ error: 'playlist must be a boolean' });
+    }
+
+    // Admission control - don't accept work the workers can't get to
+    if (await isQueueFull()) {
+      res.set('Retry-After', '60');
+      return res.status(503).json({ error: 'Too many videos are waiting to be processed, please try again in a few minutes' });
+    }
+
+    // playlist: true forces expansion, false processes the URL as a single video
+    if (playlist ?? isPlaylistUrl(videoUrl)) {
+      const { playlistOptions, error: playlistError } = parsePlaylistOptions(req.body, BATCH_MAX_URLS);
+      if (playlistError) {
+        return res.status(400).json({ error: playlistError });
+      }
+      return await startPlaylist(res, { videoUrl, priority, callbackUrl, options, playlistOptions });
+    }
+
+    // Create job (options are stored so an interrupted job can be resumed)
     const taskId = uuidv4();
-    jobs.set(taskId, {
+    const job = await createJob({
       taskId,
-      status: 'processing',
-      progress: 0,
-      downloadProgress: 0, // Separate download progress (0-100%)
       videoUrl,
-      createdAt: new Date().toISOString(),
-      result: null,
-      error: null
+      priority,
+      ...(callbackUrl && { callbackUrl }),
+      options
     });
 
-    // Process video in background
-    processVideo(taskId, videoUrl, jobs)
-      .catch(error => {
-        console.error(`Job ${taskId} failed:`, error);
-        const job = jobs.get(taskId);
-        if (job) {
-          job.status = 'failed';
-          job.error = error.message;
-        }
-      });
+    // Processed in the background once a worker is free
+    await enqueueJob(job);
 
+    const queuePosition = job.status === 'queued' ? await getQueuePosition(taskId) : null;
     res.json({
       taskId,
-      status: 'processing',
-      message: 'Video processing started'
+      status: job.status,
+      ...(queuePosition && { queuePosition }),
+      message: queuePosition ? 'Video queued for processing' : 'Video processing started'
     });
   } catch (error) {
     console.error('Error starting extraction:', error);
@@ -76,52 +182,168 @@ router.post('/extract', async (req, res) => {
   }
 });
 
+// GET /api/jobs - List stored jobs (without results), optionally ?status=interrupted
+router.get('/jobs', (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    res.json({
+      jobs: listJobs({ status }).map(({ result, ...job }) => ({
+        ...job,
+        tracksFound: result?.processingInfo?.tracksFound ?? null
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// GET /api/jobs/:taskId/webhooks - Webhook delivery log of a job
+router.get('/jobs/:taskId/webhooks', (req, res) => {
+  const job = getJob(req.params.taskId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  res.json({
+    taskId: job.taskId,
+    callbackUrl: job.callbackUrl || null,
+    status: job.webhookStatus || null,
+    deliveries: job.webhookDeliveries || []
+  });
+});
+
+// DELETE /api/jobs/:taskId - Cancel a queued or running job
+router.delete('/jobs/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const job = await cancelJob(taskId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({ taskId, status: job.status, error: `Job already ${job.status}` });
+    }
+
+    res.json({ taskId, status: 'cancelled', message: 'Job cancelled' });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// GET /api/queue - Queue backend, workers and backlog
+router.get('/queue', async (req, res) => {
+  try {
+    res.json(await getQueueStats());
+  } catch (error) {
+    console.error('Error getting queue stats:', error);
+    res.status(500).json({ error: 'Failed to get queue stats' });
+  }
+});
+
 // GET /api/status/:taskId - Get processing status
-router.get('/status/:taskId', (req, res) => {
+router.get('/status/:taskId', async (req, res) => {
   try {
     const { taskId } = req.params;
-    const job = jobs.get(taskId);
+    const job = getJob(taskId);
 
     if (!job) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({
-      taskId: job.taskId,
-      status: job.status,
-      progress: job.progress,
-      downloadProgress: job.downloadProgress || 0, // Include download progress
-      createdAt: job.createdAt
-    });
+    res.json(await getStatusSnapshot(job));
   } catch (error) {
     console.error('Error getting status:', error);
     res.status(500).json({ error: 'Failed to get status' });
   }
 });
 
+// GET /api/jobs/:taskId/events - Server-Sent Events stream of a job
+// Starts with a `snapshot` (same fields as /api/status), then streams progress, stage,
+// segment, track, result and status events until the job finishes.
+router.get('/jobs/:taskId/events', async (req, res) => {
+  const { taskId } = req.params;
+  const job = getJob(taskId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx-style proxies buffer the stream
+  });
+  res.flushHeaders();
+
+  // Subscribe before the snapshot so nothing published in between is lost
+  let closed = false;
+  const send = (type, data) => {
+    if (!closed) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  const unsubscribe = subscribeJobEvents(taskId, ({ type, data }) => {
+    send(type, data);
+    if (type === 'status' && FINISHED_STATUSES.has(data.status)) close();
+  });
+  const heartbeat = setInterval(async () => {
+    try {
+      if (job.status === 'queued') {
+        send('queue', { queuePosition: await getQueuePosition(taskId) });
+      } else if (!closed) {
+        res.write(': ping\n\n');
+      }
+    } catch (error) {
+      console.warn(`SSE heartbeat failed for ${taskId}:`, error.message || error);
+    }
+  }, EVENTS_HEARTBEAT_INTERVAL);
+  req.on('close', close);
+
+  try {
+    send('snapshot', await getStatusSnapshot(job));
+    if (FINISHED_STATUSES.has(job.status)) {
+      if (job.status === 'completed') send('result', { result: job.result });
+      close();
+    }
+  } catch (error) {
+    console.error('Error starting event stream:', error);
+    close();
+  }
+});
+
 // GET /api/result/:taskId - Get processing results
 router.get('/result/:taskId', (req, res) => {
   try {
     const { taskId } = req.params;
-    const job = jobs.get(taskId);
+    const job = getJob(taskId);
 
     if (!job) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    if (job.status === 'processing') {
+    if (job.status === 'pending' || job.status === 'queued' || job.status === 'processing') {
       return res.json({
         taskId: job.taskId,
-        status: 'processing',
+        status: job.status,
         progress: job.progress,
-        message: 'Processing in progress'
+        message: job.status === 'processing' ? 'Processing in progress' : 'Waiting for a free worker'
       });
     }
 
-    if (job.status === 'failed') {
-      return res.status(500).json({
+    if (['failed', 'interrupted', 'cancelled'].includes(job.status)) {
+      return res.status(job.status === 'cancelled' ? 410 : 500).json({
         taskId: job.taskId,
-        status: 'failed',
+        status: job.status,
         error: job.error
       });
     }
@@ -137,45 +359,38 @@ router.get('/result/:taskId', (req, res) => {
   }
 });
 
-// GET /api/download/:filename - Download audio file
-router.get('/download/:filename', (req, res) => {
+// GET /api/result/:taskId/export?format=csv|cue|chapters|srt|edl - Tracklist for other tools
+router.get('/result/:taskId/export', (req, res) => {
   try {
-    let { filename } = req.params;
-    filename = decodeURIComponent(filename);
-    
-    // If filename contains path separators, extract just the filename
-    const basename = path.basename(filename);
-    
-    // Construct file path
-    let filePath;
-    if (filename.includes(path.sep) || filename.includes('/') || filename.includes('\\')) {
-      // Full path provided - use it directly (but validate it's in downloads dir)
-      filePath = path.resolve(filename);
-      const downloadsDir = path.resolve(process.env.DOWNLOAD_DIR || './downloads');
-      if (!filePath.startsWith(downloadsDir)) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-    } else {
-      // Just filename - construct path
-      filePath = path.join(process.env.DOWNLOAD_DIR || './downloads', basename);
+    const job = getJob(req.params.taskId);
+    if (!job) {
+      return res.status(404).json({ error: 'Task not found' });
     }
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
+    // Repeated query parameters arrive as arrays
+    const format = req.query.format || 'csv';
+    if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const fps = req.query.fps === undefined ? 25 : typeof req.query.fps === 'string' ? Number(req.query.fps) : NaN;
+    if (!EDL_FRAME_RATES.includes(fps)) {
+      return res.status(400).json({ error: `fps must be one of: ${EDL_FRAME_RATES.join(', ')}` });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ taskId: job.taskId, status: job.status, error: 'Results are not available for this task' });
     }
 
-    const downloadName = path.basename(filePath);
-    res.download(filePath, downloadName, (err) => {
-      if (err) {
-        console.error('Download error:', err);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Download failed' });
-        }
-      }
-    });
+    const content = exportTracklist(job.result, format, { fps });
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const baseName = (job.result.videoInfo?.title || '').replace(/[^\w\s.-]/g, '').trim().replace(/\s+/g, '_').slice(0, 80);
+    res.attachment(`${baseName || job.taskId}${format === 'chapters' ? '-chapters' : ''}.${extension}`);
+    res.type(`${contentType}; charset=utf-8`).send(content);
   } catch (error) {
-    console.error('Error downloading file:', error);
-    res.status(500).json({ error: 'Download failed' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error exporting tracklist:', error);
+    res.status(500).json({ error: 'Failed to export tracklist' });
   }
 });
 
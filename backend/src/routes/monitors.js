@@ -0,0 +1,169 @@
+import express from 'express';
+import {
+  createMonitor,
+  getMonitor,
+  listMonitors,
+  summarizeMonitor,
+  resumeMonitor,
+  stopMonitor,
+  deleteMonitor,
+  countActiveMonitors,
+  checkStreamUrl,
+  MONITOR_MAX_ACTIVE
+} from '../services/liveMonitor.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+// Entries shown by GET /api/monitors/:monitorId (the full log is at /log)
+const RECENT_ENTRIES = 20;
+
+function findMonitor(req, res) {
+  const monitor = getMonitor(req.params.monitorId);
+  if (!monitor) {
+    res.status(404).json({ error: 'Monitor not found' });
+  }
+  return monitor;
+}
+
+// POST /api/monitors - Start monitoring a live stream / radio station
+router.post('/monitors', async (req, res) => {
+  try {
+    const { url, name, windowDuration, classifyAudio, resolve } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'A stream URL is required' });
+    }
+    // http(s) to a public address only - ffmpeg would happily read local files, other protocols or internal services
+    const urlError = await checkStreamUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(400).json({ error: 'name must be a string of at most 100 characters' });
+    }
+    if (windowDuration !== undefined && (!Number.isInteger(windowDuration) || windowDuration < 10 || windowDuration > 60)) {
+      return res.status(400).json({ error: 'windowDuration must be between 10 and 60 seconds' });
+    }
+    if (classifyAudio !== undefined && typeof classifyAudio !== 'boolean') {
+      return res.status(400).json({ error: 'classifyAudio must be a boolean' });
+    }
+    if (resolve !== undefined && typeof resolve !== 'boolean') {
+      return res.status(400).json({ error: 'resolve must be a boolean' });
+    }
+    if (countActiveMonitors() >= MONITOR_MAX_ACTIVE) {
+      return res.status(503).json({ error: `At most ${MONITOR_MAX_ACTIVE} monitors can run at once, stop one first` });
+    }
+
+    const monitor = await createMonitor({ url, name, windowDuration, classifyAudio, resolve });
+    res.status(201).json({ monitor: summarizeMonitor(monitor) });
+  } catch (error) {
+    console.error('Error starting monitor:', error);
+    res.status(500).json({ error: 'Failed to start monitor' });
+  }
+});
+
+// GET /api/monitors - All monitors (without logs)
+router.get('/monitors', (req, res) => {
+  res.json({ monitors: listMonitors(), maxActive: MONITOR_MAX_ACTIVE });
+});
+
+// GET /api/monitors/:monitorId - Status, stats and the latest log entries
+router.get('/monitors/:monitorId', (req, res) => {
+  const monitor = findMonitor(req, res);
+  if (!monitor) return;
+  res.json({
+    monitor: summarizeMonitor(monitor),
+    recent: monitor.log.slice(-RECENT_ENTRIES).reverse()
+  });
+});
+
+// GET /api/monitors/:monitorId/log?format=json|csv&since=ISO - The as-played log
+router.get('/monitors/:monitorId/log', (req, res) => {
+  try {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+    let entries = monitor.log;
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO date' });
+      }
+      // Entries still being extended count too
+      entries = entries.filter(entry => new Date(entry.lastHeardAt) >= since);
+    }
+
+    if (format === 'csv') {
+      res.attachment(`monitor-${monitor.monitorId}.csv`);
+      return res.type('text/csv').send(toCsv(
+        ['first_heard_at', 'last_heard_at', 'title', 'artist', 'album', 'isrc', 'confidence', 'windows', 'provider'],
+        entries.map(entry => [
+          entry.firstHeardAt, entry.lastHeardAt, entry.title, entry.artist, entry.album,
+          entry.isrc, entry.confidence, entry.windows, entry.provider
+        ])
+      ));
+    }
+
+    res.json({
+      monitorId: monitor.monitorId,
+      name: monitor.name,
+      url: monitor.url,
+      status: monitor.status,
+      entries
+    });
+  } catch (error) {
+    console.error('Error exporting monitor log:', error);
+    res.status(500).json({ error: 'Failed to export monitor log' });
+  }
+});
+
+// POST /api/monitors/:monitorId/stop - Stop capturing (the log is kept)
+router.post('/monitors/:monitorId/stop', async (req, res) => {
+  try {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    await stopMonitor(monitor);
+    res.json({ monitor: summarizeMonitor(monitor) });
+  } catch (error) {
+    console.error('Error stopping monitor:', error);
+    res.status(500).json({ error: 'Failed to stop monitor' });
+  }
+});
+
+// POST /api/monitors/:monitorId/start - Restart a stopped monitor, appending to its log
+router.post('/monitors/:monitorId/start', (req, res) => {
+  try {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    if (monitor.status === 'stopped' || monitor.status === 'error') {
+      if (countActiveMonitors() >= MONITOR_MAX_ACTIVE) {
+        return res.status(503).json({ error: `At most ${MONITOR_MAX_ACTIVE} monitors can run at once, stop one first` });
+      }
+      resumeMonitor(monitor);
+    }
+    res.json({ monitor: summarizeMonitor(monitor) });
+  } catch (error) {
+    console.error('Error starting monitor:', error);
+    res.status(500).json({ error: 'Failed to start monitor' });
+  }
+});
+
+// DELETE /api/monitors/:monitorId - Stop and delete a monitor with its log
+router.delete('/monitors/:monitorId', async (req, res) => {
+  try {
+    const monitor = findMonitor(req, res);
+    if (!monitor) return;
+    await deleteMonitor(monitor);
+    res.json({ message: 'Monitor deleted' });
+  } catch (error) {
+    console.error('Error deleting monitor:', error);
+    res.status(500).json({ error: 'Failed to delete monitor' });
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { enqueueJob, isQueueFull, getQueuePosition, PRIORITIES } from '../services/jobQueue.js';
+import { createJob } from '../services/jobStore.js';
+import { getTaskDirectory, deleteTaskDirectory } from '../services/videoDownloader.js';
+import { probeMediaFile } from '../services/audioExtractor.js';
+import { isWebhookConfigured, checkCallbackUrl } from '../services/webhooks.js';
+import { parseProcessingOptions, coerceFormFields } from '../utils/extractOptions.js';
+
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+const MAX_DURATION = parseInt(process.env.MAX_VIDEO_DURATION) || 3600;
+const UPLOAD_EXTENSIONS = new Set([
+  '.mp4', '.mov', '.mkv', '.webm', '.avi', '.m4v', '.mxf',
+  '.mp3', '.wav', '.aif', '.aiff', '.flac', '.m4a', '.aac', '.ogg', '.opus'
+]);
+
+// Streamed straight into the job's task directory (no copy once the upload is done)
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = getTaskDirectory(req.uploadTaskId);
+      fs.ensureDir(dir).then(() => cb(null, dir), cb);
+    },
+    filename: (req, file, cb) => cb(null, `upload${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const isMedia = /^(audio|video)\//.test(file.mimetype) || file.mimetype === 'application/octet-stream';
+    if (!UPLOAD_EXTENSIONS.has(ext) || !isMedia) {
+      const error = new Error(`Unsupported file type. Allowed: ${[...UPLOAD_EXTENSIONS].join(', ')}`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const router = express.Router();
+
+// POST /api/upload - Process a local audio/video file (multipart field "file")
+router.post('/upload', async (req, res) => {
+  const taskId = uuidv4();
+  req.uploadTaskId = taskId;
+
+  try {
+    // Refuse before receiving a large file the workers can't get to
+    if (await isQueueFull()) {
+      res.set('Retry-After', '60');
+      return res.status(503).json({ error: 'Too many videos are waiting to be processed, please try again in a few minutes' });
+    }
+  } catch (error) {
+    console.error('Error checking queue:', error);
+    return res.status(500).json({ error: 'Failed to start processing' });
+  }
+
+  upload.single('file')(req, res, async (uploadError) => {
+    const reject = async (status, error) => {
+      await deleteTaskDirectory(taskId);
+      res.status(status).json({ error });
+    };
+
+    if (uploadError) {
+      if (uploadError.code === 'LIMIT_FILE_SIZE') {
+        return reject(413, `File too large (max ${Math.round(MAX_UPLOAD_SIZE / (1024 * 1024))}MB)`);
+      }
+      return reject(uploadError.status || 400, uploadError.message);
+    }
+    if (!req.file) {
+      return reject(400, 'Audio or video file is required (multipart field "file")');
+    }
+
+    try {
+      const fields = coerceFormFields(req.body);
+      const { priority = 'normal', callbackUrl } = fields;
+
+      const { options, error: optionsError } = parseProcessingOptions(fields);
+      if (optionsError) {
+        return reject(400, optionsError);
+      }
+      if (!(priority in PRIORITIES)) {
+        return reject(400, `priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+      }
+      if (callbackUrl !== undefined) {
+        if (!isWebhookConfigured()) {
+          return reject(400, 'Webhooks are not enabled on this server (WEBHOOK_SECRET is not set)');
+        }
+        const callbackError = await checkCallbackUrl(callbackUrl);
+        if (callbackError) {
+          return reject(400, callbackError);
+        }
+      }
+
+      let probe;
+      try {
+        probe = await probeMediaFile(req.file.path);
+      } catch (error) {
+        return reject(422, error.message);
+      }
+      if (!probe.hasAudio) {
+        return reject(422, 'The file has no audio track');
+      }
+      if (probe.duration > MAX_DURATION) {
+        return reject(422, `File too long (${Math.round(probe.duration)}s). Maximum allowed: ${MAX_DURATION}s`);
+      }
+
+      const job = await createJob({
+        taskId,
+        videoUrl: null,
+        priority,
+        ...(callbackUrl && { callbackUrl }),
+        options,
+        upload: {
+          fileName: req.file.filename,
+          originalName: req.file.originalname,
+          title: path.parse(req.file.originalname).name,
+          size: req.file.size,
+          mimeType: req.file.mimetype,
+          duration: probe.duration,
+          hasVideo: probe.hasVideo
+        }
+      });
+      console.log(`📤 Upload ${req.file.originalname} (${(req.file.size / (1024 * 1024)).toFixed(1)}MB) -> ${taskId}`);
+
+      await enqueueJob(job);
+
+      const queuePosition = job.status === 'queued' ? await getQueuePosition(taskId) : null;
+      res.json({
+        taskId,
+        status: job.status,
+        ...(queuePosition && { queuePosition }),
+        file: { name: req.file.originalname, size: req.file.size, duration: probe.duration },
+        message: queuePosition ? 'File queued for processing' : 'File processing started'
+      });
+    } catch (error) {
+      console.error('Error processing upload:', error);
+      reject(500, 'Failed to start processing');
+    }
+  });
+});
+
+export default router;
@@ -4,7 +4,20 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import extractRoutes from './routes/extract.js';
+import catalogRoutes from './routes/catalog.js';
+import cacheRoutes from './routes/cache.js';
+import batchRoutes from './routes/batches.js';
+import uploadRoutes from './routes/upload.js';
+import monitorRoutes from './routes/monitors.js';
+import downloadRoutes from './routes/downloads.js';
 import { setupCleanup } from './utils/fileCleanup.js';
+import { getProviderChain } from './services/providers/index.js';
+import { initJobStore } from './services/jobStore.js';
+import { enqueueJob, initJobQueue } from './services/jobQueue.js';
+import { initWebhooks, resumeWebhookDeliveries } from './services/webhooks.js';
+import { initBatches } from './services/batches.js';
+import { initMonitors } from './services/liveMonitor.js';
+import { killAllTaskProcesses } from './utils/taskContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -61,6 +74,12 @@ app.get('/', (req, res) => {
 
 // API Routes
 app.use('/api', extractRoutes);
+app.use('/api', catalogRoutes);
+app.use('/api', cacheRoutes);
+app.use('/api', batchRoutes);
+app.use('/api', uploadRoutes);
+app.use('/api', monitorRoutes);
+app.use('/api', downloadRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -84,14 +103,35 @@ app.listen(PORT, () => {
   // Check for ACRCloud credentials
   if (!process.env.ACRCLOUD_ACCESS_KEY || !process.env.ACRCLOUD_ACCESS_SECRET) {
     console.warn('⚠️  WARNING: ACRCloud credentials not configured!');
-    console.warn('   Music identification will be disabled.');
+    console.warn('   ACRCloud will be skipped in the recognition chain.');
     console.warn('   Add ACRCLOUD_ACCESS_KEY and ACRCLOUD_ACCESS_SECRET to your .env file');
   } else {
     console.log('✅ ACRCloud credentials configured');
   }
+  console.log(`🎧 Recognition chain: ${getProviderChain().map(p => p.name).join(' → ') || 'none'}`);
   
+  // Load persisted jobs (re-queueing interrupted ones when enabled), then start the workers
+  initWebhooks();
+  initJobStore({ resume: enqueueJob })
+    .then(resumeWebhookDeliveries)
+    .then(initBatches)
+    .then(initJobQueue)
+    .catch(err => console.error('Failed to start job queue:', err));
+
+  // Restart the live monitors that were running before
+  initMonitors().catch(err => console.error('Failed to start monitors:', err));
+
   // Setup automatic file cleanup
   setupCleanup();
 });
 
+// Downloads run in their own process groups, which don't die with the server - kill them on the way out
+process.on('exit', killAllTaskProcesses);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`🛑 ${signal} received, stopping running jobs`);
+    process.exit(0);
+  });
+}
+
 export default app;
@@ -0,0 +1,190 @@
+import os from 'os';
+import { decodeToPcm } from './audioExtractor.js';
+import { computeSpectrogram, FINGERPRINT_SAMPLE_RATE } from './fingerprinter.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+// Offline music/speech/silence detection so talk-only segments never reach the recognizers.
+// Features are computed on the same frames as the fingerprinter (1024 samples, hop 512 @ 11025 Hz).
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+
+// Segments quieter than this (mean RMS in dBFS) are silence
+const SILENCE_DB = parseFloat(process.env.CLASSIFIER_SILENCE_DB) || -45;
+// speechScore >= this -> speech, <= MUSIC_MAX_SPEECH_SCORE -> music, in between -> mixed
+const SPEECH_MIN_SCORE = parseFloat(process.env.CLASSIFIER_SPEECH_SCORE) || 0.6;
+const MUSIC_MAX_SPEECH_SCORE = parseFloat(process.env.CLASSIFIER_MUSIC_SCORE) || 0.35;
+
+const CPU_COUNT = os.cpus().length;
+
+// Labels that may contain music and are worth sending to the recognizers
+const MUSIC_LABELS = new Set(['music', 'mixed']);
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+}
+
+function standardDeviation(values, avg = mean(values)) {
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+/**
+ * Per-frame RMS energy and zero-crossing rate
+ */
+function frameEnergyAndZcr(samples) {
+  const rms = [];
+  const zcr = [];
+
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+    let energy = 0;
+    let crossings = 0;
+    for (let i = start; i < start + FRAME_SIZE; i++) {
+      energy += samples[i] * samples[i];
+      if (i > start && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+    rms.push(Math.sqrt(energy / FRAME_SIZE));
+    zcr.push(crossings / FRAME_SIZE);
+  }
+
+  return { rms, zcr };
+}
+
+/**
+ * Spectral flatness per frame (geometric / arithmetic mean of the power spectrum)
+ * ~0 for tonal sound, ~1 for white noise
+ */
+function frameFlatness(spectrogram) {
+  return spectrogram.map((logMagnitudes) => {
+    let logSum = 0;
+    let sum = 0;
+    // Skip the DC bin
+    for (let bin = 1; bin < logMagnitudes.length; bin++) {
+      const power = Math.expm1(logMagnitudes[bin]) ** 2 + 1e-10;
+      logSum += Math.log(power);
+      sum += power;
+    }
+    const bins = logMagnitudes.length - 1;
+    return Math.exp(logSum / bins) / (sum / bins);
+  });
+}
+
+/**
+ * Summarize PCM samples into the features the classifier uses
+ */
+export function extractAudioFeatures(samples) {
+  const { rms, zcr } = frameEnergyAndZcr(samples);
+  if (rms.length === 0) return null;
+
+  const meanRms = mean(rms);
+  const meanZcr = mean(zcr);
+  const flatness = frameFlatness(computeSpectrogram(samples));
+  const meanFlatness = mean(flatness);
+
+  return {
+    // Overall loudness
+    loudnessDb: Math.round(20 * Math.log10(meanRms + 1e-10) * 10) / 10,
+    // Speech keeps pausing between syllables/words, music rarely drops out
+    lowEnergyRatio: rms.filter(v => v < 0.5 * meanRms).length / rms.length,
+    // Voiced/unvoiced alternation makes speech ZCR swing much more than music's
+    zcrVariation: meanZcr > 0 ? standardDeviation(zcr, meanZcr) / meanZcr : 0,
+    spectralFlatness: meanFlatness,
+    flatnessVariation: standardDeviation(flatness, meanFlatness)
+  };
+}
+
+/**
+ * Label features as music, speech, silence or mixed
+ */
+export function classifyFeatures(features) {
+  if (!features || features.loudnessDb < SILENCE_DB) {
+    return { label: 'silence', speechScore: 0 };
+  }
+
+  const speechScore = Math.round((
+    0.5 * clamp01((features.lowEnergyRatio - 0.15) / 0.35) +
+    0.3 * clamp01((features.zcrVariation - 0.3) / 0.7) +
+    0.2 * clamp01((features.flatnessVariation - 0.05) / 0.15)
+  ) * 100) / 100;
+
+  let label = 'mixed';
+  if (speechScore >= SPEECH_MIN_SCORE) label = 'speech';
+  else if (speechScore <= MUSIC_MAX_SPEECH_SCORE) label = 'music';
+
+  return { label, speechScore };
+}
+
+/**
+ * Classify one audio file
+ * Returns { label, speechScore, features } - never throws, unknown audio counts as 'mixed'
+ */
+export async function classifyAudioFile(audioFile) {
+  try {
+    const samples = await decodeToPcm(audioFile, FINGERPRINT_SAMPLE_RATE);
+    const features = extractAudioFeatures(samples);
+    const { label, speechScore } = classifyFeatures(features);
+    return { label, speechScore, features };
+  } catch (error) {
+    console.warn(`Audio classification failed for ${audioFile}:`, error.message);
+    return { label: 'mixed', speechScore: null, features: null };
+  }
+}
+
+/**
+ * Whether a classified segment may contain music
+ */
+export function containsMusic(segment) {
+  return !segment.classification || MUSIC_LABELS.has(segment.classification.label);
+}
+
+/**
+ * Classify every segment (adds `classification` to each one)
+ *
+ * @param {Array} segments - [{ file, startTime, endTime, segmentIndex }]
+ */
+export async function classifySegments(segments) {
+  const classified = await mapWithConcurrency(segments, CPU_COUNT, async (segment) => ({
+    ...segment,
+    classification: await classifyAudioFile(segment.file)
+  }));
+
+  const counts = {};
+  for (const segment of classified) {
+    counts[segment.classification.label] = (counts[segment.classification.label] || 0) + 1;
+  }
+  console.log(`🔊 Classified ${classified.length} segments: ${Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ')}`);
+
+  return classified;
+}
+
+/**
+ * Collapse classified segments into a music/speech timeline
+ * Adjacent segments with the same label are merged; unanalyzed gaps are left out.
+ */
+export function buildAudioTimeline(segments) {
+  const ordered = segments
+    .filter(segment => segment.classification)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  const timeline = [];
+  for (const segment of ordered) {
+    const last = timeline[timeline.length - 1];
+    const { label } = segment.classification;
+    // Overlapping windows: the earlier window keeps the shared part
+    const start = last ? Math.max(segment.startTime, Math.min(last.end, segment.endTime)) : segment.startTime;
+
+    if (last && last.label === label && start <= last.end) {
+      last.end = Math.max(last.end, segment.endTime);
+    } else if (segment.endTime > start) {
+      timeline.push({ start, end: segment.endTime, label });
+    }
+  }
+
+  return timeline.map(entry => ({
+    ...entry,
+    start: Math.round(entry.start * 10) / 10,
+    end: Math.round(entry.end * 10) / 10
+  }));
+}
@@ -5,6 +5,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import os from 'os';
+import { tileWindows } from '../utils/coverage.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { trackProcess } from '../utils/taskContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,7 +29,7 @@ export function extractAudio(videoFile) {
   return new Promise((resolve, reject) => {
     const audioFile = videoFile.replace(/\.[^/.]+$/, '.mp3');
 
-    ffmpeg(videoFile)
+    trackProcess(ffmpeg(videoFile))
       .outputOptions([
         `-threads ${ENCODE_THREADS}`, // Use 2x CPU cores for maximum speed!
         `-preset ultrafast`, // FASTEST encoding
@@ -57,10 +60,41 @@ export function extractAudio(videoFile) {
   });
 }
 
+/**
+ * Probe a local media file (uploads) - { duration, format, hasAudio, hasVideo }
+ * Cover art embedded in audio files is not counted as video.
+ */
+export function probeMediaFile(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, metadata) => {
+      if (err) {
+        console.warn(`ffprobe failed for ${file}:`, err.message);
+        reject(new Error('Not a readable audio or video file'));
+        return;
+      }
+      const streams = metadata.streams || [];
+      resolve({
+        duration: Number(metadata.format?.duration) || 0,
+        format: metadata.format?.format_name || null,
+        hasAudio: streams.some(s => s.codec_type === 'audio'),
+        hasVideo: streams.some(s => s.codec_type === 'video' && !s.disposition?.attached_pic)
+      });
+    });
+  });
+}
+
 /**
  * Split audio into segments for analysis
+ * Returns [{ file, startTime, endTime, segmentIndex }] - same shape as downloaded segments
+ *
+ * @param {Object} options - { windowDuration, windowOverlap } (defaults: SEGMENT_DURATION, no overlap)
  */
-export function splitAudioSegments(audioFile) {
+export function splitAudioSegments(audioFile, options = {}) {
+  const segmentDuration = options.windowDuration || SEGMENT_DURATION;
+  if (options.windowOverlap > 0) {
+    return cutOverlappingWindows(audioFile, segmentDuration, options.windowOverlap);
+  }
+
   return new Promise((resolve, reject) => {
     const segments = [];
     const audioPath = path.parse(audioFile);
@@ -73,14 +107,14 @@ export function splitAudioSegments(audioFile) {
       }
 
       const duration = metadata.format.duration;
-      const segmentCount = Math.ceil(duration / SEGMENT_DURATION);
+      const segmentCount = Math.ceil(duration / segmentDuration);
 
       // Split audio (using -c copy for speed - no re-encoding!)
-      ffmpeg(audioFile)
+      trackProcess(ffmpeg(audioFile))
         .outputOptions([
           `-threads ${FFMPEG_THREADS}`, // Use all CPU cores!
           `-f segment`,
-          `-segment_time ${SEGMENT_DURATION}`,
+          `-segment_time ${segmentDuration}`,
           `-c copy`, // Copy codec - no re-encoding = much faster!
           `-reset_timestamps 1`,
           `-segment_format mp3` // Ensure MP3 format
@@ -94,7 +128,12 @@ export function splitAudioSegments(audioFile) {
           for (let i = 0; i < segmentCount; i++) {
             const segmentFile = segmentPattern.replace('%03d', String(i).padStart(3, '0'));
             if (fs.existsSync(segmentFile)) {
-              segments.push(segmentFile);
+              segments.push({
+                file: segmentFile,
+                startTime: i * segmentDuration,
+                endTime: Math.min((i + 1) * segmentDuration, duration),
+                segmentIndex: i
+              });
             }
           }
           console.log(`Created ${segments.length} segments`);
@@ -110,31 +149,182 @@ export function splitAudioSegments(audioFile) {
 }
 
 /**
- * Preprocess an audio segment: normalize loudness and apply a bandpass filter
+ * Overlapping windows can't use the segment muxer - cut each window separately
+ */
+async function cutOverlappingWindows(audioFile, windowDuration, overlap) {
+  const metadata = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(audioFile, (err, data) => {
+      if (err) reject(new Error(`Failed to probe audio: ${err.message}`));
+      else resolve(data);
+    });
+  });
+
+  const audioPath = path.parse(audioFile);
+  const windows = tileWindows(metadata.format.duration, windowDuration, overlap);
+  console.log(`Cutting ${windows.length} overlapping windows (${windowDuration}s, ${overlap}s overlap)...`);
+
+  const segments = await mapWithConcurrency(windows, CPU_COUNT, async (window, index) => {
+    const outFile = path.join(audioPath.dir, `${audioPath.name}_window_${String(index).padStart(3, '0')}.mp3`);
+    try {
+      await cutAudioSegment(audioFile, window.start, window.end, outFile);
+      return { file: outFile, startTime: window.start, endTime: window.end, segmentIndex: index };
+    } catch (error) {
+      console.error(`Window ${index} failed, continuing with others...`, error.message);
+      return null;
+    }
+  });
+
+  return segments.filter(Boolean);
+}
+
+/**
+ * Cut a short piece out of a local audio file (re-encoded so cuts are sample accurate)
+ */
+export function cutAudioSegment(audioFile, startTime, endTime, outFile) {
+  return new Promise((resolve, reject) => {
+    trackProcess(ffmpeg(audioFile))
+      .setStartTime(startTime)
+      .setDuration(endTime - startTime)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate('96k')
+      .outputOptions(['-threads 1'])
+      .on('end', () => resolve(outFile))
+      .on('error', (err) => {
+        reject(new Error(`Failed to cut audio segment: ${err.message}`));
+      })
+      .save(outFile);
+  });
+}
+
+/**
+ * Decode an audio file to mono PCM samples (Float32, -1..1)
+ * Used by the local fingerprinter, which works on raw samples instead of MP3 bytes.
+ */
+export function decodeToPcm(audioFile, sampleRate = 11025) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    const stream = trackProcess(ffmpeg(audioFile))
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .audioCodec('pcm_s16le')
+      .format('s16le')
+      .on('error', (err) => {
+        reject(new Error(`PCM decode failed: ${err.message}`));
+      })
+      .pipe();
+
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(buffer.length / 2));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2) / 32768;
+      }
+      resolve(samples);
+    });
+  });
+}
+
+// Loudness normalization (EBU R128)
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+// Loudness normalization + bandpass of the voice/music range - the original chain
+const LOUDNORM_FILTERS = [
+  LOUDNORM_FILTER,
+  // bandpass roughly human voice/music range to reduce low rumble / high hiss
+  'bandpass=f=300:width_type=h:w=4000'
+];
+
+/**
+ * Named preprocessing strategies, tried in order when a recognizer finds nothing
+ */
+export const PREPROCESS_STRATEGIES = {
+  // Untouched segment
+  raw: { filters: null },
+  loudnorm: { filters: LOUDNORM_FILTERS },
+  // Cancel what is identical in both channels - narration is usually mixed dead centre.
+  // A single channel: L-R and R-L as a stereo pair would cancel out again in a mono downmix.
+  'vocal-reduce': {
+    filters: ['pan=mono|c0=0.5*c0-0.5*c1', ...LOUDNORM_FILTERS],
+    requiresStereo: true
+  },
+  // Cut most of the speech band so the music's upper harmonics dominate
+  // (loudness only - the bandpass of LOUDNORM_FILTERS would cut what the highpass keeps)
+  highpass: { filters: ['highpass=f=2500', LOUDNORM_FILTER] },
+  mono: { filters: ['pan=mono|c0=0.5*c0+0.5*c1', ...LOUDNORM_FILTERS] }
+};
+
+function getChannelCount(audioFile) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(audioFile, (err, metadata) => {
+      const stream = metadata?.streams?.find(s => s.codec_type === 'audio');
+      resolve(err ? null : stream?.channels ?? null);
+    });
+  });
+}
+
+/**
+ * Preprocess an audio segment with one of PREPROCESS_STRATEGIES (default: loudnorm + bandpass)
  * This often improves fingerprinting accuracy on noisy or mixed audio.
- * Returns path to processed file (may overwrite or create new file).
+ * Returns path to processed file, the original file for 'raw', or null when the
+ * strategy does not apply to this file (e.g. vocal reduction on mono audio).
  */
-export async function preprocessSegment(segmentFile) {
+export async function preprocessSegment(segmentFile, strategy = 'loudnorm') {
+  const config = PREPROCESS_STRATEGIES[strategy];
+  if (!config) {
+    throw new Error(`Unknown preprocessing strategy: ${strategy}`);
+  }
+  if (!config.filters) return segmentFile;
+
+  if (config.requiresStereo && (await getChannelCount(segmentFile)) !== 2) {
+    return null;
+  }
+
   const parsed = path.parse(segmentFile);
-  const outFile = path.join(parsed.dir, `${parsed.name}_proc${parsed.ext}`);
+  const outFile = path.join(parsed.dir, `${parsed.name}_${strategy}${parsed.ext}`);
 
   return new Promise((resolve, reject) => {
-    ffmpeg(segmentFile)
-      // loudness normalization (EBU R128) - use loudnorm filter
-      .audioFilters([
-        'loudnorm=I=-16:TP=-1.5:LRA=11',
-        // bandpass roughly human voice/music range to reduce low rumble / high hiss
-        'bandpass=f=300:width_type=h:w=4000'
-      ])
+    trackProcess(ffmpeg(segmentFile))
+      .audioFilters(config.filters)
       .audioCodec('libmp3lame')
       .audioBitrate('96k')
       .outputOptions(['-threads 1', '-preset veryfast'])
       .on('end', () => resolve(outFile))
       .on('error', (err) => {
         // If preprocessing fails, fall back to original file
-        console.warn('Preprocessing failed for', segmentFile, err.message || err);
+        console.warn(`Preprocessing (${strategy}) failed for`, segmentFile, err.message || err);
         resolve(segmentFile);
       })
       .save(outFile);
   });
 }
+
+/**
+ * Undo a speed change: render the segment as it would sound at original speed
+ * `factor` is how fast the clip plays relative to the song (1.2 = "sped up" 20%).
+ * mode 'pitch' treats it as a resample (tempo and pitch moved together, typical of
+ * sped up / slowed edits), 'tempo' as a time stretch with the pitch untouched.
+ */
+export function createSpeedVariant(segmentFile, factor, mode = 'pitch') {
+  const parsed = path.parse(segmentFile);
+  const outFile = path.join(parsed.dir, `${parsed.name}_speed${factor}_${mode}${parsed.ext}`);
+  const filters = mode === 'tempo'
+    ? [`atempo=${1 / factor}`]
+    : ['aresample=44100', `asetrate=${Math.round(44100 / factor)}`, 'aresample=44100'];
+
+  return new Promise((resolve, reject) => {
+    trackProcess(ffmpeg(segmentFile))
+      .audioFilters(filters)
+      .audioCodec('libmp3lame')
+      .audioBitrate('96k')
+      .outputOptions(['-threads 1'])
+      .on('end', () => resolve(outFile))
+      .on('error', (err) => {
+        reject(new Error(`Failed to create speed variant: ${err.message}`));
+      })
+      .save(outFile);
+  });
+}
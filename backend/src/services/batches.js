@@ -0,0 +1,264 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createJob, getJob, updateJob } from './jobStore.js';
+import { enqueueJob, cancelJob } from './jobQueue.js';
+import { subscribeAllJobEvents } from './jobEvents.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// One JSON file per batch; the items themselves are ordinary jobs (job.batchId)
+const BATCH_STORE_DIR = process.env.BATCH_STORE_DIR || path.join(__dirname, '../../data/batches');
+export const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS) || 500;
+// Items of one batch in the queue / running at once - the rest wait as 'pending',
+// so a 500-video audit doesn't fill the queue ahead of interactive requests
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'interrupted', 'cancelled']);
+
+const batches = new Map();
+let cleanupTimer = null;
+
+function batchFile(batchId) {
+  return path.join(BATCH_STORE_DIR, `${batchId}.json`);
+}
+
+async function saveBatch(batch) {
+  const file = batchFile(batch.batchId);
+  await fs.ensureDir(BATCH_STORE_DIR);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(batch), 'utf8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Hand pending items to the job queue until BATCH_CONCURRENCY of them are queued/running
+ */
+async function fillBatch(batch) {
+  const jobs = batch.taskIds.map(getJob).filter(Boolean);
+  let active = jobs.filter(job => job.status === 'queued' || job.status === 'processing').length;
+
+  for (const job of jobs) {
+    if (active >= BATCH_CONCURRENCY) break;
+    if (job.status !== 'pending') continue;
+
+    updateJob(job.taskId, { status: 'queued' });
+    active++;
+    await enqueueJob(job);
+  }
+}
+
+/**
+ * Create one job per URL (shared options) and start the first ones
+ *
+ * @param {Object} params - { urls, options, priority, callbackUrl?, source? }
+ *                          source describes an expanded playlist/channel (the batch is its parent)
+ */
+export async function createBatch({ urls, options, priority, callbackUrl, source }) {
+  const batch = {
+    batchId: uuidv4(),
+    createdAt: new Date().toISOString(),
+    priority,
+    options,
+    ...(source && { source }),
+    taskIds: []
+  };
+
+  for (const videoUrl of urls) {
+    const job = await createJob({
+      taskId: uuidv4(),
+      videoUrl,
+      priority,
+      ...(callbackUrl && { callbackUrl }),
+      options,
+      batchId: batch.batchId,
+      status: 'pending'
+    });
+    batch.taskIds.push(job.taskId);
+  }
+
+  batches.set(batch.batchId, batch);
+  await saveBatch(batch);
+  await fillBatch(batch);
+  console.log(`📦 Batch ${batch.batchId}: ${urls.length} videos`);
+  return batch;
+}
+
+export function getBatch(batchId) {
+  return batches.get(batchId) || null;
+}
+
+function getItems(batch) {
+  return batch.taskIds.map(taskId => {
+    const job = getJob(taskId);
+    // Deleted by job retention
+    return job || { taskId, status: 'expired', progress: 0 };
+  });
+}
+
+/**
+ * Aggregate progress of a batch plus one line per video
+ */
+export function getBatchStatus(batch) {
+  const items = getItems(batch);
+  const counts = {};
+  let progressSum = 0;
+  let finished = 0;
+
+  for (const job of items) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+    const done = FINISHED_STATUSES.has(job.status) || job.status === 'expired';
+    if (done) finished++;
+    progressSum += done ? 100 : job.progress || 0;
+  }
+
+  return {
+    batchId: batch.batchId,
+    createdAt: batch.createdAt,
+    ...(batch.source && { source: batch.source }),
+    status: finished === items.length ? 'completed' : 'processing',
+    total: items.length,
+    finished,
+    progress: items.length > 0 ? Math.round(progressSum / items.length) : 100,
+    counts,
+    items: items.map(job => ({
+      taskId: job.taskId,
+      videoUrl: job.videoUrl || null,
+      status: job.status,
+      progress: job.progress || 0,
+      tracksFound: job.result?.processingInfo?.tracksFound ?? null,
+      ...(job.error && { error: job.error })
+    }))
+  };
+}
+
+/**
+ * Every distinct song across the batch with the videos (and times) it appears in, most used first
+ */
+function aggregateTracks(videos) {
+  const tracks = new Map();
+
+  for (const video of videos) {
+    for (const track of video.tracks) {
+      const key = `${(track.artist || '').toLowerCase()}|${(track.title || '').toLowerCase()}`;
+      if (!tracks.has(key)) {
+        tracks.set(key, { title: track.title, artist: track.artist, album: track.album, videoCount: 0, appearances: [] });
+      }
+      const entry = tracks.get(key);
+      entry.videoCount++;
+      for (const occurrence of track.occurrences || [{ ...track.timestamp, confidence: track.confidence }]) {
+        entry.appearances.push({
+          taskId: video.taskId,
+          videoUrl: video.videoUrl,
+          videoTitle: video.title,
+          start: occurrence.start,
+          end: occurrence.end,
+          confidence: occurrence.confidence
+        });
+      }
+    }
+  }
+
+  return [...tracks.values()].sort((a, b) => b.videoCount - a.videoCount || b.appearances.length - a.appearances.length);
+}
+
+/**
+ * Combined result: per-video tracklists, every track across them, and the videos that produced none
+ */
+export function getBatchResult(batch) {
+  const items = getItems(batch);
+  const { items: _, ...summary } = getBatchStatus(batch);
+
+  const videos = items
+    .filter(job => job.status === 'completed')
+    .map(job => ({
+      taskId: job.taskId,
+      videoUrl: job.videoUrl,
+      title: job.result?.videoInfo?.title || null,
+      duration: job.result?.videoInfo?.duration || null,
+      ...(job.warning && { warning: job.warning }),
+      tracks: (job.result?.identifiedTracks || []).map(track => ({
+        title: track.title,
+        artist: track.artist,
+        album: track.album || null,
+        confidence: track.confidence,
+        timestamp: track.timestamp,
+        occurrences: track.occurrences
+      }))
+    }));
+
+  const failures = items
+    .filter(job => job.status !== 'completed')
+    .map(job => ({
+      taskId: job.taskId,
+      videoUrl: job.videoUrl || null,
+      status: job.status,
+      error: job.error || (job.status === 'expired' ? 'Job expired' : 'Not finished yet')
+    }));
+
+  return { ...summary, tracks: aggregateTracks(videos), videos, failures };
+}
+
+/**
+ * Cancel every unfinished item (pending ones first, so none get released meanwhile)
+ */
+export async function cancelBatch(batch) {
+  const items = batch.taskIds.map(getJob).filter(Boolean);
+  const order = [
+    ...items.filter(job => job.status === 'pending'),
+    ...items.filter(job => job.status === 'queued' || job.status === 'processing')
+  ];
+
+  for (const job of order) {
+    await cancelJob(job.taskId);
+  }
+  return order.length;
+}
+
+/**
+ * Drop batches whose jobs were all removed by job retention
+ */
+async function purgeExpiredBatches() {
+  for (const batch of batches.values()) {
+    if (batch.taskIds.every(taskId => !getJob(taskId))) {
+      batches.delete(batch.batchId);
+      await fs.remove(batchFile(batch.batchId));
+    }
+  }
+}
+
+/**
+ * Load batches (after the job store), keep releasing items as earlier ones finish
+ */
+export async function initBatches() {
+  await fs.ensureDir(BATCH_STORE_DIR);
+  const files = (await fs.readdir(BATCH_STORE_DIR)).filter(f => f.endsWith('.json'));
+
+  for (const file of files) {
+    try {
+      const batch = await fs.readJson(path.join(BATCH_STORE_DIR, file));
+      batches.set(batch.batchId, batch);
+    } catch (err) {
+      console.warn(`Failed to load batch file ${file}:`, err.message || err);
+    }
+  }
+
+  subscribeAllJobEvents((taskId, { type, data }) => {
+    if (type !== 'status' || !FINISHED_STATUSES.has(data.status)) return;
+    const batch = batches.get(getJob(taskId)?.batchId);
+    if (batch) {
+      fillBatch(batch).catch(err => console.error(`Batch ${batch.batchId} error:`, err.message || err));
+    }
+  });
+
+  await purgeExpiredBatches();
+  for (const batch of batches.values()) {
+    await fillBatch(batch);
+  }
+  if (!cleanupTimer) {
+    cleanupTimer = setInterval(() => purgeExpiredBatches(), 3600000);
+    cleanupTimer.unref?.();
+  }
+}
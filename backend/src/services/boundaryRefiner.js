@@ -0,0 +1,198 @@
+import path from 'path';
+import { cutAudioSegment } from './audioExtractor.js';
+import { downloadAudioSegment } from './videoDownloader.js';
+import { identifyAudioSegment, getTrackKey } from './musicIdentifier.js';
+
+// Length of each probe - long enough for recognizers to lock on
+const PROBE_DURATION = parseInt(process.env.REFINE_PROBE_DURATION) || 6;
+// Stop bisecting once the boundary is known to within this many seconds
+const REFINE_PRECISION = parseFloat(process.env.REFINE_PRECISION) || 2;
+// How far outside the matched window we look for the song's entry/exit
+const MAX_EXTENSION = parseInt(process.env.REFINE_MAX_EXTENSION) || 60;
+// Hard cap on probes per boundary (each probe may cost an API call)
+const MAX_PROBES_PER_BOUNDARY = parseInt(process.env.REFINE_MAX_PROBES) || 8;
+
+/**
+ * Create a probe function for the job's audio source
+ * Cuts from the local full audio when we have it, otherwise downloads just the probe window.
+ */
+function createProber(source) {
+  let probeCount = 0;
+
+  return async (startTime, endTime, probeOptions = {}) => {
+    const probeIndex = probeCount++;
+    const start = Math.max(0, Math.round(startTime * 10) / 10);
+    const end = Math.min(source.duration || Infinity, Math.round(endTime * 10) / 10);
+    if (end - start < 3) return null;
+
+    let file;
+    try {
+      if (source.audioFile) {
+        const parsed = path.parse(source.audioFile);
+        file = await cutAudioSegment(
+          source.audioFile,
+          start,
+          end,
+          path.join(parsed.dir, `${parsed.name}_probe${probeIndex}.mp3`)
+        );
+      } else {
+        file = await downloadAudioSegment(source.url, start, end, `probe${probeIndex}`, source.title, source.downloadDir);
+      }
+    } catch (error) {
+      console.warn(`Boundary probe ${start}s-${end}s failed:`, error.message);
+      return null;
+    }
+
+    return identifyAudioSegment({ file, startTime: start, endTime: end, segmentIndex: `probe${probeIndex}` }, probeOptions);
+  };
+}
+
+/**
+ * A sped up / slowed match needs its probes treated at the same speed
+ */
+function getProbeOptions(track) {
+  return track.speedFactor && track.speedFactor !== 1
+    ? { speedVariants: true, speedFactors: [track.speedFactor] }
+    : {};
+}
+
+/**
+ * Find where the song starts: walk backwards in probe-sized steps until the song
+ * is no longer heard, then bisect between the last miss and the earliest hit.
+ */
+async function refineEntry(track, probe, lowerLimit) {
+  const trackKey = getTrackKey(track);
+  const probeOptions = getProbeOptions(track);
+  let earliestHit = track.timestamp.start;
+  let latestMiss = null;
+  let probes = 0;
+
+  // Step back until a probe misses (or we hit the search limit)
+  while (latestMiss === null && probes < MAX_PROBES_PER_BOUNDARY) {
+    const probeStart = Math.max(lowerLimit, earliestHit - PROBE_DURATION);
+    if (earliestHit - probeStart < REFINE_PRECISION) {
+      latestMiss = probeStart;
+      break;
+    }
+
+    const result = await probe(probeStart, probeStart + PROBE_DURATION, probeOptions);
+    probes++;
+    if (result && getTrackKey(result) === trackKey) {
+      earliestHit = Math.min(earliestHit, result.timestamp.start);
+    } else {
+      latestMiss = probeStart;
+    }
+  }
+
+  // Bisect between the miss and the hit
+  while (latestMiss !== null && earliestHit - latestMiss > REFINE_PRECISION && probes < MAX_PROBES_PER_BOUNDARY) {
+    const mid = (latestMiss + earliestHit) / 2;
+    const result = await probe(mid, mid + PROBE_DURATION, probeOptions);
+    probes++;
+    if (result && getTrackKey(result) === trackKey) {
+      earliestHit = Math.min(earliestHit, result.timestamp.start);
+    } else {
+      latestMiss = mid;
+    }
+  }
+
+  return {
+    time: earliestHit,
+    precision: latestMiss === null ? null : Math.round((earliestHit - latestMiss) * 10) / 10,
+    probes
+  };
+}
+
+/**
+ * Find where the song ends - mirror image of refineEntry
+ */
+async function refineExit(track, probe, upperLimit) {
+  const trackKey = getTrackKey(track);
+  const probeOptions = getProbeOptions(track);
+  let latestHit = track.timestamp.end;
+  let earliestMiss = null;
+  let probes = 0;
+
+  while (earliestMiss === null && probes < MAX_PROBES_PER_BOUNDARY) {
+    const probeEnd = Math.min(upperLimit, latestHit + PROBE_DURATION);
+    if (probeEnd - latestHit < REFINE_PRECISION) {
+      earliestMiss = probeEnd;
+      break;
+    }
+
+    const result = await probe(probeEnd - PROBE_DURATION, probeEnd, probeOptions);
+    probes++;
+    if (result && getTrackKey(result) === trackKey) {
+      latestHit = Math.max(latestHit, result.timestamp.end);
+    } else {
+      earliestMiss = probeEnd;
+    }
+  }
+
+  while (earliestMiss !== null && earliestMiss - latestHit > REFINE_PRECISION && probes < MAX_PROBES_PER_BOUNDARY) {
+    const mid = (latestHit + earliestMiss) / 2;
+    const result = await probe(mid - PROBE_DURATION, mid, probeOptions);
+    probes++;
+    if (result && getTrackKey(result) === trackKey) {
+      latestHit = Math.max(latestHit, result.timestamp.end);
+    } else {
+      earliestMiss = mid;
+    }
+  }
+
+  return {
+    time: latestHit,
+    precision: earliestMiss === null ? null : Math.round((earliestMiss - latestHit) * 10) / 10,
+    probes
+  };
+}
+
+/**
+ * Refine the in/out points of identified tracks with extra short probes
+ *
+ * @param {Array} tracks - identified tracks (timestamp = matched window)
+ * @param {Object} source - { url, audioFile, downloadDir, title, duration }
+ * @returns {Array} tracks with timestamp narrowed/extended and a `boundaries` report
+ */
+export async function refineTrackBoundaries(tracks, source) {
+  if (tracks.length === 0) return tracks;
+
+  const probe = createProber(source);
+  const duration = source.duration || Infinity;
+  const ordered = [...tracks].sort((a, b) => a.timestamp.start - b.timestamp.start);
+
+  console.log(`🎯 Refining boundaries of ${ordered.length} tracks (probe ${PROBE_DURATION}s, precision ${REFINE_PRECISION}s)`);
+
+  const refined = await Promise.all(ordered.map(async (track, index) => {
+    // Don't search into the neighbouring tracks
+    const previousEnd = index > 0 ? ordered[index - 1].timestamp.end : 0;
+    const nextStart = index < ordered.length - 1 ? ordered[index + 1].timestamp.start : duration;
+    const lowerLimit = Math.max(0, previousEnd, track.timestamp.start - MAX_EXTENSION);
+    const upperLimit = Math.min(duration, nextStart, track.timestamp.end + MAX_EXTENSION);
+
+    try {
+      const [entry, exit] = await Promise.all([
+        refineEntry(track, probe, lowerLimit),
+        refineExit(track, probe, upperLimit)
+      ]);
+
+      console.log(`🎯 ${track.title}: in ${entry.time}s (±${entry.precision ?? '?'}s), out ${exit.time}s (±${exit.precision ?? '?'}s)`);
+      return {
+        ...track,
+        timestamp: { start: entry.time, end: exit.time },
+        boundaries: {
+          in: entry.time,
+          out: exit.time,
+          inPrecision: entry.precision,
+          outPrecision: exit.precision,
+          probes: entry.probes + exit.probes
+        }
+      };
+    } catch (error) {
+      console.warn(`Boundary refinement failed for ${track.title}:`, error.message);
+      return track;
+    }
+  }));
+
+  return refined;
+}
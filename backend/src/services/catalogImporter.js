@@ -0,0 +1,151 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { parseFile } from 'music-metadata';
+import { addTrack } from './fingerprintIndex.js';
+import { parseCsv } from '../utils/csv.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.m4a', '.aac', '.ogg', '.opus', '.wma', '.aiff', '.aif'];
+// Bulk imports only read from inside this directory (relative paths are resolved against it)
+const CATALOG_IMPORT_ROOT = path.resolve(process.env.CATALOG_IMPORT_ROOT || path.join(__dirname, '../../data/catalog-import'));
+
+function importError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Resolve a requested path inside CATALOG_IMPORT_ROOT, refusing anything outside it
+ * Symlinks are followed first, so a link inside the root can't point elsewhere.
+ */
+async function resolveImportPath(target) {
+  let root;
+  try {
+    root = await fs.realpath(CATALOG_IMPORT_ROOT);
+  } catch {
+    throw importError('Catalog import is disabled: CATALOG_IMPORT_ROOT does not exist on this server', 403);
+  }
+
+  const resolved = path.resolve(root, target);
+  const real = await fs.realpath(resolved).catch(() => resolved);
+  if (real !== root && !real.startsWith(root + path.sep)) {
+    throw importError(`Path is outside CATALOG_IMPORT_ROOT: ${target}`, 403);
+  }
+  return real;
+}
+
+/**
+ * Read title/artist/album/ISRC from file tags, falling back to "Artist - Title" filenames
+ */
+async function readTagMetadata(audioFile) {
+  const baseName = path.parse(audioFile).name;
+  const [fileArtist, fileTitle] = baseName.includes(' - ') ? baseName.split(' - ', 2) : [null, baseName];
+
+  try {
+    const { common } = await parseFile(audioFile, { skipCovers: true });
+    return {
+      title: common.title || fileTitle,
+      artist: common.artist || fileArtist,
+      album: common.album || null,
+      isrc: common.isrc?.[0] || null
+    };
+  } catch {
+    return { title: fileTitle, artist: fileArtist, album: null, isrc: null };
+  }
+}
+
+/**
+ * Fingerprint a list of { file, metadata } entries one at a time
+ * (fingerprinting is CPU bound - running them in parallel would not be faster)
+ * Entries with an `error` were refused before import and are only reported.
+ */
+async function importEntries(entries) {
+  const imported = [];
+  const failed = [];
+
+  for (const { file, metadata, error: refused } of entries) {
+    try {
+      if (refused) {
+        throw new Error(refused);
+      }
+      if (!(await fs.pathExists(file))) {
+        throw new Error('File not found');
+      }
+      const tags = await readTagMetadata(file);
+      const track = await addTrack(file, { ...tags, ...metadata });
+      imported.push(track);
+    } catch (error) {
+      console.error(`❌ Catalog import failed for ${file}:`, error.message);
+      failed.push({ file, error: error.message });
+    }
+  }
+
+  console.log(`🗂️  Catalog import finished: ${imported.length} imported, ${failed.length} failed`);
+  return { imported, failed };
+}
+
+/**
+ * Import every audio file found (recursively) in a directory
+ */
+export async function importDirectory(directory) {
+  const root = await resolveImportPath(directory);
+  if (!(await fs.pathExists(root)) || !(await fs.stat(root)).isDirectory()) {
+    throw importError(`Directory not found: ${directory}`, 400);
+  }
+
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  };
+  await walk(root);
+
+  console.log(`🗂️  Importing ${files.length} audio files from ${root}`);
+  return importEntries(files.map(file => ({ file, metadata: {} })));
+}
+
+/**
+ * Import tracks listed in a CSV manifest
+ * Columns: file (required, relative to the manifest), title, artist, album, isrc
+ */
+export async function importManifest(manifestFile) {
+  const manifestPath = await resolveImportPath(manifestFile);
+  if (!(await fs.pathExists(manifestPath))) {
+    throw importError(`Manifest not found: ${manifestFile}`, 400);
+  }
+
+  const rows = parseCsv(await fs.readFile(manifestPath, 'utf8'));
+  const baseDir = path.dirname(manifestPath);
+
+  // Every row is checked on its own, so one bad path doesn't abort the whole manifest
+  const entries = await Promise.all(rows.map(async (row, index) => {
+    if (!row.file) {
+      return { file: '', error: `Row ${index + 1} has no file` };
+    }
+    // Drop empty columns so file tags can fill them in
+    const metadata = Object.fromEntries(
+      ['title', 'artist', 'album', 'isrc']
+        .filter(key => row[key])
+        .map(key => [key, row[key]])
+    );
+    try {
+      return { file: await resolveImportPath(path.resolve(baseDir, row.file)), metadata };
+    } catch (error) {
+      return { file: row.file, error: error.message };
+    }
+  }));
+
+  console.log(`🗂️  Importing ${entries.length} tracks from manifest ${manifestPath}`);
+  return importEntries(entries);
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import ffmpeg from 'fluent-ffmpeg';
+import { getTaskDirectory } from './videoDownloader.js';
+import { getClipFile } from './trackClips.js';
+
+// Without a configured secret, links stop working when the server restarts
+const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const DOWNLOAD_TOKEN_TTL = parseInt(process.env.DOWNLOAD_TOKEN_TTL) || 3600; // seconds
+
+// Converted copies live next to the original, so they go with the task directory
+const CONVERTED_DIRECTORY = 'converted';
+
+// Segment files written by downloadAudioSegment: <title>_segment<index>_<start>-<end>.mp3
+const SEGMENT_FILE_PATTERN = /_segment\d+_([\d.]+)-([\d.]+)\.mp3$/;
+
+export const DOWNLOAD_FORMATS = {
+  mp3: { codec: 'libmp3lame', container: 'mp3', contentType: 'audio/mpeg', lossy: true },
+  wav: { codec: 'pcm_s16le', container: 'wav', contentType: 'audio/wav', lossy: false },
+  flac: { codec: 'flac', container: 'flac', contentType: 'audio/flac', lossy: false },
+  opus: { codec: 'libopus', container: 'ogg', contentType: 'audio/ogg', lossy: true },
+  m4a: { codec: 'aac', container: 'ipod', contentType: 'audio/mp4', lossy: true }
+};
+
+// kbps accepted for lossy formats
+export const DOWNLOAD_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const DEFAULT_BITRATE = 192;
+
+const conversions = new Map(); // output file -> Promise (one ffmpeg run per file)
+
+function sign(taskId, artifact, expires) {
+  return crypto.createHmac('sha256', DOWNLOAD_TOKEN_SECRET)
+    .update(`${taskId}:${artifact}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Expiring token for one artifact of one task ("<expires>.<signature>")
+ */
+export function createDownloadToken(taskId, artifact, ttl = DOWNLOAD_TOKEN_TTL) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return { token: `${expires}.${sign(taskId, artifact, expires)}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+/**
+ * @returns {string|null} why the token is rejected, null when it is valid
+ */
+export function checkDownloadToken(taskId, artifact, token) {
+  const [expires, signature] = String(token || '').split('.');
+  if (!expires || !signature) return 'A download token is required';
+
+  const expected = Buffer.from(sign(taskId, artifact, expires));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid download token';
+  }
+  if (Number(expires) * 1000 < Date.now()) return 'Download link has expired';
+  return null;
+}
+
+/**
+ * Segment files of a task in playback order, skipping any that overlap the previous one
+ */
+async function listSegmentFiles(taskDir) {
+  const entries = await fs.readdir(taskDir).catch(() => []);
+  const segments = entries
+    .map(entry => {
+      const match = entry.match(SEGMENT_FILE_PATTERN);
+      return match && { file: path.join(taskDir, entry), start: Number(match[1]), end: Number(match[2]) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  let lastEnd = -Infinity;
+  return segments.filter(segment => {
+    if (segment.start < lastEnd) return false;
+    lastEnd = segment.end;
+    return true;
+  });
+}
+
+/**
+ * Files of a completed job that can be downloaded, by artifact name
+ * Only names are taken from the stored job - files are always looked up in its task directory.
+ *
+ * - audio: the full audio (not kept in segment mode, which never downloads it)
+ * - segments: in segment mode, the analyzed segments joined back to back (built on first download)
+ * - source: the uploaded file, when it was a video
+ * - clip-<n>: preview of the n-th identified track
+ */
+export async function listArtifacts(job) {
+  const taskDir = getTaskDirectory(job.taskId);
+  const candidates = [];
+  const artifacts = [];
+
+  const audioFile = job.result?.audioMetadata?.audioFile;
+  if (audioFile && audioFile !== 'segments') {
+    candidates.push({ name: 'audio', file: path.join(taskDir, path.basename(audioFile)) });
+  } else if (audioFile === 'segments') {
+    const segments = [];
+    let size = 0;
+    for (const segment of await listSegmentFiles(taskDir)) {
+      const stats = await fs.stat(segment.file).catch(() => null);
+      if (!stats?.isFile()) continue;
+      segments.push(segment);
+      size += stats.size;
+    }
+    if (segments.length > 0) {
+      artifacts.push({ name: 'segments', file: path.join(taskDir, CONVERTED_DIRECTORY, 'segments.mp3'), segments, size });
+    }
+  }
+  if (job.upload?.hasVideo) {
+    candidates.push({ name: 'source', file: path.join(taskDir, path.basename(job.upload.fileName)) });
+  }
+  (job.result?.identifiedTracks || []).forEach((track, index) => {
+    if (track.clip) candidates.push({ name: `clip-${index + 1}`, file: getClipFile(job.taskId, index + 1) });
+  });
+
+  for (const candidate of candidates) {
+    const stats = await fs.stat(candidate.file).catch(() => null);
+    if (stats?.isFile()) {
+      artifacts.push({ ...candidate, size: stats.size });
+    }
+  }
+  return artifacts;
+}
+
+function runFfmpeg(command, outFile, description) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`Failed to ${description}: ${err.message}`)))
+      .save(outFile);
+  });
+}
+
+/**
+ * Write outFile once: concurrent requests share the same run, and an existing file is reused
+ * @param {Function} write - async (partFile) => writes the file under a temporary name,
+ *   so a half-written file is never served
+ */
+function writeOnce(outFile, write) {
+  if (!conversions.has(outFile)) {
+    const conversion = (async () => {
+      if (await fs.pathExists(outFile)) return outFile;
+      await fs.ensureDir(path.dirname(outFile));
+      const partFile = `${outFile}.part`;
+      await write(partFile).catch(async (error) => {
+        await fs.remove(partFile);
+        throw error;
+      });
+      await fs.move(partFile, outFile, { overwrite: true });
+      return outFile;
+    })().finally(() => conversions.delete(outFile));
+    conversions.set(outFile, conversion);
+  }
+  return conversions.get(outFile);
+}
+
+/**
+ * File to send for an artifact in the requested format, converted (once) with ffmpeg if needed
+ * The segments artifact is joined (without re-encoding) before its first download.
+ * @param {Object} artifact - from listArtifacts
+ * @param {string} format - key of DOWNLOAD_FORMATS, or undefined for the original file
+ * @param {number} bitrate - kbps, lossy formats only
+ */
+export async function prepareDownload(job, artifact, format, bitrate) {
+  if (artifact.segments) {
+    await writeOnce(artifact.file, async (partFile) => {
+      const listFile = `${partFile}.txt`;
+      const quote = file => `'${path.resolve(file).replace(/'/g, "'\\''")}'`;
+      await fs.writeFile(listFile, artifact.segments.map(segment => `file ${quote(segment.file)}`).join('\n') + '\n');
+      try {
+        await runFfmpeg(
+          ffmpeg(listFile)
+            .inputOptions(['-f concat', '-safe 0'])
+            .audioCodec('copy')
+            .format('mp3'),
+          partFile,
+          `join the segments of ${job.taskId}`
+        );
+      } finally {
+        await fs.remove(listFile);
+      }
+      console.log(`🧩 Joined ${artifact.segments.length} segments of ${job.taskId}`);
+    });
+  }
+  if (!format) return artifact.file;
+
+  const { codec, container, lossy } = DOWNLOAD_FORMATS[format];
+  const kbps = lossy ? bitrate || DEFAULT_BITRATE : null;
+  const outFile = path.join(
+    getTaskDirectory(job.taskId),
+    CONVERTED_DIRECTORY,
+    `${artifact.name}${kbps ? `-${kbps}k` : ''}.${format}`
+  );
+  return writeOnce(outFile, async (partFile) => {
+    const command = ffmpeg(artifact.file)
+      .noVideo()
+      .audioCodec(codec)
+      .format(container)
+      .outputOptions(['-threads 1']);
+    if (kbps) command.audioBitrate(`${kbps}k`);
+    await runFfmpeg(command, partFile, `convert ${artifact.name} to ${format}`);
+    console.log(`🎚️  Converted ${job.taskId}/${artifact.name} to ${format}${kbps ? ` ${kbps}k` : ''}`);
+  });
+}
+
+/**
+ * File name offered to the browser
+ */
+export function getDownloadName(job, artifact, format) {
+  const extension = format || path.extname(artifact.file).slice(1);
+  const clipNumber = artifact.name.match(/^clip-(\d+)$/)?.[1];
+  const track = clipNumber && job.result?.identifiedTracks?.[clipNumber - 1];
+  // Clips are named after their track ("Artist - Title.mp3")
+  const title = track
+    ? `${track.artist ? `${track.artist} - ` : ''}${track.title}`
+    : job.upload?.title || job.result?.videoInfo?.title || job.taskId;
+  const base = title.replace(/[\\/:*?"<>|]/g, '_').slice(0, 100);
+  const suffix = track || artifact.name === 'audio' ? '' : `-${artifact.name}`;
+  return `${base}${suffix}.${extension}`;
+}
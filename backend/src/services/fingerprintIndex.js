@@ -0,0 +1,228 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fingerprintFile, framesToSeconds } from './fingerprinter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// One JSON file per reference track: { ...metadata, hashes: [hash, offset, hash, offset, ...] }
+const INDEX_DIR = process.env.FINGERPRINT_INDEX_DIR || path.join(__dirname, '../../data/fingerprints');
+// Minimum number of time-aligned hashes before we call it a match
+const MIN_ALIGNED_HASHES = parseInt(process.env.LOCAL_MIN_ALIGNED_HASHES) || 10;
+// Number of aligned hashes that counts as a 100% confident match
+const FULL_CONFIDENCE_HASHES = parseInt(process.env.LOCAL_FULL_CONFIDENCE_HASHES) || 50;
+
+const tracks = new Map(); // trackId -> metadata (without hashes)
+const trackKeys = new Map(); // trackId -> small integer used inside hash buckets
+const trackIdsByKey = new Map(); // small integer -> trackId
+const hashTable = new Map(); // hash -> [trackKey, offset, trackKey, offset, ...]
+let nextTrackKey = 0;
+let loadPromise = null;
+
+function trackFile(trackId) {
+  return path.join(INDEX_DIR, `${trackId}.json`);
+}
+
+/**
+ * Insert a track's flat [hash, offset, ...] list into the in-memory inverted index
+ */
+function indexHashes(trackId, flatHashes) {
+  const key = nextTrackKey++;
+  trackKeys.set(trackId, key);
+  trackIdsByKey.set(key, trackId);
+
+  for (let i = 0; i < flatHashes.length; i += 2) {
+    const hash = flatHashes[i];
+    let bucket = hashTable.get(hash);
+    if (!bucket) {
+      bucket = [];
+      hashTable.set(hash, bucket);
+    }
+    bucket.push(key, flatHashes[i + 1]);
+  }
+}
+
+function unindexHashes(trackId, flatHashes) {
+  const key = trackKeys.get(trackId);
+  if (key === undefined) return;
+
+  for (let i = 0; i < flatHashes.length; i += 2) {
+    const bucket = hashTable.get(flatHashes[i]);
+    if (!bucket) continue;
+
+    const kept = [];
+    for (let j = 0; j < bucket.length; j += 2) {
+      if (bucket[j] !== key) kept.push(bucket[j], bucket[j + 1]);
+    }
+    if (kept.length > 0) {
+      hashTable.set(flatHashes[i], kept);
+    } else {
+      hashTable.delete(flatHashes[i]);
+    }
+  }
+
+  trackKeys.delete(trackId);
+  trackIdsByKey.delete(key);
+}
+
+/**
+ * Load every reference track from disk (only once)
+ */
+export function loadIndex() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      await fs.ensureDir(INDEX_DIR);
+      const files = (await fs.readdir(INDEX_DIR)).filter(f => f.endsWith('.json'));
+
+      for (const file of files) {
+        try {
+          const { hashes, ...metadata } = await fs.readJson(path.join(INDEX_DIR, file));
+          tracks.set(metadata.id, metadata);
+          indexHashes(metadata.id, hashes || []);
+        } catch (err) {
+          console.warn(`Failed to load fingerprint file ${file}:`, err.message || err);
+        }
+      }
+
+      if (tracks.size > 0) {
+        console.log(`🗂️  Loaded ${tracks.size} reference tracks into local fingerprint index`);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Fingerprint a reference audio file and add it to the index
+ */
+export async function addTrack(audioFile, metadata = {}) {
+  await loadIndex();
+
+  const { hashes, duration } = await fingerprintFile(audioFile);
+  if (hashes.length === 0) {
+    throw new Error('No fingerprint could be extracted (silent or too short audio)');
+  }
+
+  const track = {
+    id: uuidv4(),
+    title: metadata.title || path.parse(audioFile).name,
+    artist: metadata.artist || 'Unknown Artist',
+    album: metadata.album || null,
+    isrc: metadata.isrc || null,
+    duration: Math.round(duration),
+    hashCount: hashes.length,
+    addedAt: new Date().toISOString()
+  };
+
+  const flatHashes = hashes.flat();
+  await fs.writeJson(trackFile(track.id), { ...track, hashes: flatHashes });
+
+  tracks.set(track.id, track);
+  indexHashes(track.id, flatHashes);
+
+  console.log(`🗂️  Added "${track.title}" by ${track.artist} to local index (${hashes.length} hashes)`);
+  return track;
+}
+
+/**
+ * Remove a reference track from the index
+ */
+export async function removeTrack(trackId) {
+  await loadIndex();
+  if (!tracks.has(trackId)) return false;
+
+  try {
+    const { hashes } = await fs.readJson(trackFile(trackId));
+    unindexHashes(trackId, hashes || []);
+  } catch (err) {
+    console.warn(`Failed to read fingerprint file for ${trackId}:`, err.message || err);
+  }
+
+  tracks.delete(trackId);
+  await fs.remove(trackFile(trackId));
+  return true;
+}
+
+export async function getTrack(trackId) {
+  await loadIndex();
+  return tracks.get(trackId) || null;
+}
+
+export async function listTracks() {
+  await loadIndex();
+  return [...tracks.values()];
+}
+
+export async function getIndexSize() {
+  await loadIndex();
+  return tracks.size;
+}
+
+/**
+ * Match query hashes against the index
+ * Counts hashes that agree on the same (track, time offset) pair - a real match
+ * lines up many hashes on a single offset, random collisions do not.
+ * Returns up to `limit` candidate tracks, best first (empty array when nothing matches).
+ */
+export async function matchFingerprint(queryHashes, limit = 5) {
+  await loadIndex();
+  if (tracks.size === 0 || queryHashes.length === 0) return [];
+
+  const votes = new Map(); // "trackKey:offsetDelta" -> count
+  const bestPerTrack = new Map(); // trackKey -> { offset, count }
+
+  for (const [hash, queryOffset] of queryHashes) {
+    const bucket = hashTable.get(hash);
+    if (!bucket) continue;
+
+    for (let i = 0; i < bucket.length; i += 2) {
+      const trackKey = bucket[i];
+      const offset = bucket[i + 1] - queryOffset;
+      const voteKey = `${trackKey}:${offset}`;
+      const count = (votes.get(voteKey) || 0) + 1;
+      votes.set(voteKey, count);
+
+      const best = bestPerTrack.get(trackKey);
+      if (!best || count > best.count) {
+        bestPerTrack.set(trackKey, { trackKey, offset, count });
+      }
+    }
+  }
+
+  const candidates = [...bestPerTrack.values()]
+    .filter(candidate => candidate.count >= MIN_ALIGNED_HASHES)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+
+  return candidates.map(candidate => {
+    // Find which part of the query the aligned hashes span
+    let firstAligned = Infinity;
+    let lastAligned = -Infinity;
+    for (const [hash, queryOffset] of queryHashes) {
+      const bucket = hashTable.get(hash);
+      if (!bucket) continue;
+
+      for (let i = 0; i < bucket.length; i += 2) {
+        if (bucket[i] === candidate.trackKey && bucket[i + 1] - queryOffset === candidate.offset) {
+          firstAligned = Math.min(firstAligned, queryOffset);
+          lastAligned = Math.max(lastAligned, queryOffset);
+        }
+      }
+    }
+
+    return {
+      track: tracks.get(trackIdsByKey.get(candidate.trackKey)),
+      alignedHashes: candidate.count,
+      queryHashes: queryHashes.length,
+      confidence: Math.min(100, Math.round((candidate.count / FULL_CONFIDENCE_HASHES) * 100)),
+      // Where the query starts inside the reference track
+      trackOffset: framesToSeconds(candidate.offset),
+      // Part of the query (seconds from its start) that lines up with the reference
+      queryStart: framesToSeconds(firstAligned),
+      queryEnd: framesToSeconds(lastAligned)
+    };
+  });
+}
@@ -0,0 +1,172 @@
+import { decodeToPcm } from './audioExtractor.js';
+
+// Landmark (peak-pair) fingerprinting, in the spirit of Shazam's constellation maps.
+// Audio is decoded to mono PCM, turned into a spectrogram, the strongest local peaks
+// are picked and nearby peaks are paired into compact integer hashes.
+export const FINGERPRINT_SAMPLE_RATE = 11025;
+const FFT_SIZE = 1024;
+const HOP_SIZE = 512;
+
+// Frequency bands (in FFT bins) - one candidate peak per band per frame
+const BAND_EDGES = [0, 10, 20, 40, 80, 160, FFT_SIZE / 2];
+// A peak must be the strongest in its band within +/- this many frames
+const PEAK_TIME_RADIUS = 3;
+// Ignore peaks quieter than this (log magnitude) - keeps silence out of the index
+const MIN_PEAK_MAGNITUDE = 1.0;
+
+// Pairing: each anchor peak is paired with the next FAN_OUT peaks inside the target zone
+const FAN_OUT = parseInt(process.env.FINGERPRINT_FAN_OUT) || 5;
+const MAX_DELTA_FRAMES = 63; // 6 bits
+
+const hannWindow = new Float64Array(FFT_SIZE).map(
+  (_, i) => 0.5 * (1 - Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1)))
+);
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Compute a log-magnitude spectrogram (one Float32Array of FFT_SIZE/2 bins per frame)
+ */
+export function computeSpectrogram(samples) {
+  const frames = [];
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+
+  for (let start = 0; start + FFT_SIZE <= samples.length; start += HOP_SIZE) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[start + i] * hannWindow[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const magnitudes = new Float32Array(FFT_SIZE / 2);
+    for (let bin = 0; bin < FFT_SIZE / 2; bin++) {
+      magnitudes[bin] = Math.log1p(Math.hypot(re[bin], im[bin]));
+    }
+    frames.push(magnitudes);
+  }
+
+  return frames;
+}
+
+/**
+ * Pick constellation peaks: the strongest bin of each band, kept only if it is
+ * also a local maximum over time and louder than the frame's average band peak
+ */
+function findPeaks(spectrogram) {
+  const bandMaxima = spectrogram.map((magnitudes) => {
+    const maxima = [];
+    for (let band = 0; band < BAND_EDGES.length - 1; band++) {
+      let bestBin = BAND_EDGES[band];
+      for (let bin = BAND_EDGES[band]; bin < BAND_EDGES[band + 1]; bin++) {
+        if (magnitudes[bin] > magnitudes[bestBin]) bestBin = bin;
+      }
+      maxima.push({ bin: bestBin, value: magnitudes[bestBin] });
+    }
+    return maxima;
+  });
+
+  const peaks = [];
+  for (let t = 0; t < bandMaxima.length; t++) {
+    const frameMean = bandMaxima[t].reduce((sum, m) => sum + m.value, 0) / bandMaxima[t].length;
+
+    bandMaxima[t].forEach((candidate, band) => {
+      if (candidate.value < MIN_PEAK_MAGNITUDE || candidate.value < frameMean) return;
+
+      const from = Math.max(0, t - PEAK_TIME_RADIUS);
+      const to = Math.min(bandMaxima.length - 1, t + PEAK_TIME_RADIUS);
+      for (let other = from; other <= to; other++) {
+        if (other !== t && bandMaxima[other][band].value > candidate.value) return;
+      }
+
+      peaks.push({ time: t, bin: candidate.bin });
+    });
+  }
+
+  return peaks;
+}
+
+/**
+ * Generate landmark hashes from PCM samples
+ * Returns an array of [hash, anchorFrame] pairs
+ */
+export function generateFingerprint(samples) {
+  const peaks = findPeaks(computeSpectrogram(samples));
+  const hashes = [];
+
+  for (let i = 0; i < peaks.length; i++) {
+    const anchor = peaks[i];
+    let paired = 0;
+
+    for (let j = i + 1; j < peaks.length && paired < FAN_OUT; j++) {
+      const delta = peaks[j].time - anchor.time;
+      if (delta < 1) continue;
+      if (delta > MAX_DELTA_FRAMES) break;
+
+      // 9 bits anchor frequency | 9 bits target frequency | 6 bits time delta
+      const hash = (anchor.bin << 15) | (peaks[j].bin << 6) | delta;
+      hashes.push([hash, anchor.time]);
+      paired++;
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Decode an audio file and fingerprint it
+ */
+export async function fingerprintFile(audioFile) {
+  const samples = await decodeToPcm(audioFile, FINGERPRINT_SAMPLE_RATE);
+  return {
+    hashes: generateFingerprint(samples),
+    duration: samples.length / FINGERPRINT_SAMPLE_RATE
+  };
+}
+
+/**
+ * Convert a spectrogram frame index into seconds
+ */
+export function framesToSeconds(frames) {
+  return (frames * HOP_SIZE) / FINGERPRINT_SAMPLE_RATE;
+}
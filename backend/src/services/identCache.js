@@ -0,0 +1,265 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { fingerprintFile, framesToSeconds } from './fingerprinter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Identification cache: key -> { value, negative, scope, signature, expiresAt }, kept in LRU
+// order (Map insertion order, most recently used last) and snapshotted to one JSON file.
+const CACHE_FILE = process.env.IDENT_CACHE_FILE || path.join(__dirname, '../../data/ident_cache.json');
+const MAX_ENTRIES = parseInt(process.env.IDENT_CACHE_MAX_ENTRIES) || 5000;
+const TTL = parseInt(process.env.IDENT_CACHE_TTL) || 30 * 24 * 3600000; // 30 days
+// "No result" answers are only trusted briefly - catalogs grow
+const NEGATIVE_TTL = parseInt(process.env.IDENT_CACHE_NEGATIVE_TTL) || 3600000; // 1 hour
+// Share of signature hashes two pieces of audio must have in common (Jaccard) to count as the same
+const MIN_SIMILARITY = parseFloat(process.env.IDENT_CACHE_MIN_SIMILARITY) || 0.5;
+// Shared hashes only count when they sit at the same place in both pieces (seconds);
+// an overlapping window of the same audio lines up at a different offset
+const ALIGN_TOLERANCE = parseFloat(process.env.IDENT_CACHE_ALIGN_TOLERANCE) || 1;
+// Batch disk writes instead of rewriting the file on every lookup
+const SAVE_DELAY = 2000;
+
+const entries = new Map();
+const postings = new Map(); // signature hash -> [cache keys]
+const stats = { hits: 0, similarHits: 0, negativeHits: 0, misses: 0, writes: 0, evictions: 0, expirations: 0 };
+let loadPromise = null;
+let saveTimer = null;
+let saveQueue = Promise.resolve();
+
+function indexEntry(key, signature = []) {
+  for (const hash of signature) {
+    const keys = postings.get(hash);
+    if (keys) keys.push(key);
+    else postings.set(hash, [key]);
+  }
+}
+
+function deleteEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  for (const hash of entry.signature || []) {
+    const keys = postings.get(hash)?.filter(k => k !== key);
+    if (keys?.length) postings.set(hash, keys);
+    else postings.delete(hash);
+  }
+  entries.delete(key);
+}
+
+function loadCache() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        if (await fs.pathExists(CACHE_FILE)) {
+          const now = Date.now();
+          for (const [key, entry] of Object.entries(await fs.readJson(CACHE_FILE))) {
+            if (entry.expiresAt > now) {
+              entries.set(key, entry);
+              indexEntry(key, entry.signature);
+            }
+          }
+        }
+      } catch (err) {
+        console.warn('Failed to load ident cache:', err.message || err);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const snapshot = JSON.stringify(Object.fromEntries(entries));
+    saveQueue = saveQueue
+      .then(async () => {
+        await fs.ensureDir(path.dirname(CACHE_FILE));
+        await fs.writeFile(CACHE_FILE, snapshot, 'utf8');
+      })
+      .catch(err => console.warn('Failed to save ident cache:', err.message || err));
+  }, SAVE_DELAY);
+  saveTimer.unref?.();
+}
+
+/**
+ * Coarse landmark hash: drop the low bits of both frequencies and the time delta
+ * so re-encoding or re-cutting the same audio mostly lands on the same values.
+ * Layout of the full hash: 9 bits anchor freq | 9 bits target freq | 6 bits delta.
+ */
+function coarseHash(hash) {
+  return ((hash >> 17) << 10) | (((hash >> 8) & 127) << 3) | ((hash & 63) >> 3);
+}
+
+/**
+ * Content-based cache signature of a piece of audio
+ * `signature` is the set of coarse landmark hashes, `key` its digest and `times` the
+ * first time (seconds into the piece) each hash occurs, used to check alignment.
+ */
+export async function getAudioSignature(audioFile) {
+  const { hashes } = await fingerprintFile(audioFile);
+  if (hashes.length === 0) return null;
+
+  const firstFrames = new Map();
+  for (const [hash, frame] of hashes) {
+    const coarse = coarseHash(hash);
+    if (!firstFrames.has(coarse) || frame < firstFrames.get(coarse)) firstFrames.set(coarse, frame);
+  }
+  const signature = [...firstFrames.keys()].sort((a, b) => a - b);
+  return {
+    key: crypto.createHash('sha256').update(Int32Array.from(signature)).digest('hex'),
+    signature,
+    times: signature.map(hash => Math.round(framesToSeconds(firstFrames.get(hash)) * 100) / 100)
+  };
+}
+
+/**
+ * Most similar cached positive entry that hasn't expired, if similar enough
+ * Expired candidates are evicted on the way. Similarity is the Jaccard index counting only shared hashes that occur at the same
+ * time (within ALIGN_TOLERANCE) in both pieces, so a shifted window of the same audio
+ * or another song with a similar sound doesn't get this one's match and offsets.
+ */
+function findSimilar(signature, times) {
+  if (!times) return null;
+
+  const overlaps = new Map(); // key -> shared hashes
+  for (const hash of signature) {
+    for (const key of postings.get(hash) || []) {
+      overlaps.set(key, (overlaps.get(key) || 0) + 1);
+    }
+  }
+
+  const now = Date.now();
+  let best = null;
+  for (const [key, shared] of overlaps) {
+    const entry = entries.get(key);
+    if (entry.expiresAt <= now) {
+      deleteEntry(key);
+      stats.expirations++;
+      scheduleSave();
+      continue;
+    }
+    const union = signature.length + entry.signature.length - shared;
+    // Negative entries are only trusted for the exact same audio
+    if (entry.negative || !entry.times || shared / union < MIN_SIMILARITY) continue;
+
+    const entryTimes = new Map(entry.signature.map((hash, index) => [hash, entry.times[index]]));
+    let aligned = 0;
+    signature.forEach((hash, index) => {
+      if (entryTimes.has(hash) && Math.abs(entryTimes.get(hash) - times[index]) <= ALIGN_TOLERANCE) aligned++;
+    });
+
+    const similarity = aligned / union;
+    if (similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { key, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Look up audio by its signature (exact digest first, then the most similar aligned entry)
+ * Returns { value } for a cached match, { negative: true } for a cached "no result", or null.
+ * A "no result" only counts for the exact same audio and the same `scope` (lookup options)
+ * it was recorded with.
+ */
+export async function getCachedIdentification({ key, signature, times }, scope = '') {
+  await loadCache();
+
+  let cacheKey = entries.has(key) ? key : null;
+  let similar = false;
+  if (!cacheKey) {
+    cacheKey = findSimilar(signature, times)?.key;
+    similar = !!cacheKey;
+  }
+
+  const entry = cacheKey && entries.get(cacheKey);
+  if (!entry || (entry.negative && entry.scope !== scope)) {
+    stats.misses++;
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    deleteEntry(cacheKey);
+    stats.expirations++;
+    stats.misses++;
+    scheduleSave();
+    return null;
+  }
+
+  // Move to the most-recently-used end
+  entries.delete(cacheKey);
+  entries.set(cacheKey, entry);
+  scheduleSave();
+
+  if (entry.negative) {
+    stats.negativeHits++;
+    return { negative: true };
+  }
+  stats.hits++;
+  if (similar) stats.similarHits++;
+  return { value: entry.value };
+}
+
+async function setEntry({ key, signature, times }, entry) {
+  await loadCache();
+  deleteEntry(key);
+  entries.set(key, { ...entry, signature, times });
+  indexEntry(key, signature);
+  stats.writes++;
+
+  // Evict least recently used entries beyond the cap
+  while (entries.size > MAX_ENTRIES) {
+    deleteEntry(entries.keys().next().value);
+    stats.evictions++;
+  }
+  scheduleSave();
+}
+
+/**
+ * Remember a successful identification
+ */
+export function cacheIdentification(audioSignature, value) {
+  return setEntry(audioSignature, { value, negative: false, expiresAt: Date.now() + TTL });
+}
+
+/**
+ * Remember that every provider answered "no result" (short-lived)
+ */
+export function cacheNoMatch(audioSignature, scope = '') {
+  return setEntry(audioSignature, { value: null, negative: true, scope, expiresAt: Date.now() + NEGATIVE_TTL });
+}
+
+export async function getCacheStats() {
+  await loadCache();
+  const negativeEntries = [...entries.values()].filter(entry => entry.negative).length;
+  const lookups = stats.hits + stats.negativeHits + stats.misses;
+
+  return {
+    entries: entries.size,
+    positiveEntries: entries.size - negativeEntries,
+    negativeEntries,
+    maxEntries: MAX_ENTRIES,
+    ttl: TTL,
+    negativeTtl: NEGATIVE_TTL,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round(((stats.hits + stats.negativeHits) / lookups) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * Drop every cached entry (positive and negative)
+ */
+export async function clearCache() {
+  await loadCache();
+  const cleared = entries.size;
+  entries.clear();
+  postings.clear();
+  Object.keys(stats).forEach(key => { stats[key] = 0; });
+  await saveQueue;
+  await fs.remove(CACHE_FILE);
+  return cleared;
+}
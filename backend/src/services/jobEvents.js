@@ -0,0 +1,37 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process pub/sub for job updates (consumed by the SSE endpoint and webhooks)
+ *
+ * Event types:
+ *   progress - { progress, downloadProgress }
+ *   stage    - { stage } downloading | extracting | classifying | identifying | refining | finalizing
+ *   segment  - { segmentIndex, start, end, outcome: 'matched' | 'no_match' | 'skipped', label?, title?, artist?, confidence? }
+ *   track    - a song seen for the first time in this job (per-segment match)
+ *   result   - { result } the final result, sent just before the 'completed' status
+ *   status   - { status, error?, warning? }
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open SSE connection
+const ALL_JOBS = Symbol('all jobs');
+
+export function publishJobEvent(taskId, type, data) {
+  emitter.emit(taskId, { type, data });
+  emitter.emit(ALL_JOBS, taskId, { type, data });
+}
+
+/**
+ * Listen to one job's events, returns the unsubscribe function
+ */
+export function subscribeJobEvents(taskId, listener) {
+  emitter.on(taskId, listener);
+  return () => emitter.off(taskId, listener);
+}
+
+/**
+ * Listen to every job's events - listener(taskId, { type, data })
+ */
+export function subscribeAllJobEvents(listener) {
+  emitter.on(ALL_JOBS, listener);
+  return () => emitter.off(ALL_JOBS, listener);
+}
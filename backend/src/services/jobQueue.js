@@ -0,0 +1,145 @@
+import { processVideo } from './videoProcessor.js';
+import { deleteTaskDirectory } from './videoDownloader.js';
+import { getJob, updateJob } from './jobStore.js';
+import { runInTaskContext, cancelTask } from '../utils/taskContext.js';
+import { createMemoryQueue } from './queue/memoryQueue.js';
+import { createRedisQueue } from './queue/redisQueue.js';
+
+/**
+ * Job queue
+ *
+ * Extraction requests are queued and run by a fixed number of in-process workers, so
+ * a burst of requests never spawns more yt-dlp/ffmpeg pipelines than the box can take.
+ *
+ * A queue backend is a plain object (all methods async):
+ *   name                      - 'memory' | 'redis'
+ *   push(taskId, priority)    - add a job (no-op when already queued), lower priority runs first
+ *   pop()                     - take the next taskId, or null when empty
+ *   remove(taskId)            - drop a waiting job
+ *   position(taskId)          - 1-based place in line, or null when not waiting
+ *   size()                    - number of waiting jobs
+ */
+const QUEUE_BACKEND = (process.env.QUEUE_BACKEND || 'memory').toLowerCase();
+// Jobs processed at the same time
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 2;
+// New jobs are rejected once this many are waiting
+const QUEUE_MAX_BACKLOG = parseInt(process.env.QUEUE_MAX_BACKLOG) || 50;
+
+export const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const running = new Set();
+let queue = null;
+let draining = false;
+let drainAgain = false;
+
+function getQueue() {
+  if (!queue) {
+    queue = QUEUE_BACKEND === 'redis'
+      ? createRedisQueue(process.env.REDIS_URL || 'redis://localhost:6379', process.env.QUEUE_REDIS_KEY)
+      : createMemoryQueue();
+  }
+  return queue;
+}
+
+function runJob(job) {
+  running.add(job.taskId);
+  runInTaskContext(job.taskId, () => processVideo(job.taskId, job.videoUrl, job.options || {}))
+    .catch(error => {
+      console.error(`Job ${job.taskId} failed:`, error);
+      updateJob(job.taskId, { status: 'failed', error: error.message });
+    })
+    .finally(() => {
+      running.delete(job.taskId);
+      drain();
+    });
+}
+
+/**
+ * Start waiting jobs until every worker slot is busy
+ */
+async function drain() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    do {
+      drainAgain = false;
+      while (running.size < QUEUE_CONCURRENCY) {
+        const taskId = await getQueue().pop();
+        if (!taskId) break;
+
+        // Skip jobs that were removed or marked interrupted while they waited
+        const job = getJob(taskId);
+        if (job?.status === 'queued') runJob(job);
+      }
+    } while (drainAgain);
+  } catch (err) {
+    console.error('Job queue error:', err.message || err);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Whether the backlog is too deep to accept another job
+ */
+export async function isQueueFull() {
+  return (await getQueue().size()) >= QUEUE_MAX_BACKLOG;
+}
+
+/**
+ * Queue a stored job (status 'queued') and start it when a worker is free
+ */
+export async function enqueueJob(job) {
+  await getQueue().push(job.taskId, PRIORITIES[job.priority] ?? PRIORITIES.normal);
+  drain();
+}
+
+/**
+ * Cancel a pending (batch), queued or running job
+ * A waiting job is taken out of the queue; a running one has its downloads, ffmpeg
+ * processes and recognizer requests killed and its files deleted.
+ * Returns the job, or null when it doesn't exist.
+ */
+export async function cancelJob(taskId) {
+  const job = getJob(taskId);
+  if (!job || !['pending', 'queued', 'processing'].includes(job.status)) return job;
+
+  await getQueue().remove(taskId);
+  updateJob(taskId, { status: 'cancelled', error: 'Cancelled by user' });
+  const killed = cancelTask(taskId);
+  if (killed !== null) {
+    console.log(`[${taskId}] 🛑 Cancel requested - killed ${killed} processes`);
+  }
+  await deleteTaskDirectory(taskId);
+  return job;
+}
+
+/**
+ * 1-based position of a waiting job, null once it started
+ */
+export async function getQueuePosition(taskId) {
+  return getQueue().position(taskId);
+}
+
+export async function getQueueStats() {
+  return {
+    backend: getQueue().name,
+    concurrency: QUEUE_CONCURRENCY,
+    running: running.size,
+    queued: await getQueue().size(),
+    maxBacklog: QUEUE_MAX_BACKLOG
+  };
+}
+
+/**
+ * Connect the backend and pick up jobs left in a persistent queue
+ */
+export async function initJobQueue() {
+  const stats = await getQueueStats();
+  console.log(`📥 Job queue: ${stats.backend}, ${stats.concurrency} workers${stats.queued ? `, ${stats.queued} waiting` : ''}`);
+  drain();
+}
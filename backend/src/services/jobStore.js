@@ -0,0 +1,238 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { publishJobEvent } from './jobEvents.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// One JSON file per job, mirrored in memory so status polling never touches the disk
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(__dirname, '../../data/jobs');
+// Finished jobs (completed / failed / interrupted) are deleted after this many hours
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS) || 24;
+// Restart jobs that were still processing when the server went down
+const RESUME_INTERRUPTED = process.env.JOB_RESUME_INTERRUPTED === 'true';
+const MAX_RESUME_ATTEMPTS = parseInt(process.env.JOB_MAX_RESUME_ATTEMPTS) || 2;
+// Progress-only updates are written at most this often per job
+const PROGRESS_WRITE_INTERVAL = 1000;
+
+const ACTIVE_STATUSES = new Set(['queued', 'processing']);
+// Batch items not handed to the queue yet - not running, but not finished either
+const PENDING_STATUS = 'pending';
+
+const jobs = new Map();
+const writeQueues = new Map(); // taskId -> promise chain (writes of one job never overlap)
+const pendingWrites = new Map(); // taskId -> timer for a deferred progress write
+let retentionTimer = null;
+
+function jobFile(taskId) {
+  return path.join(JOB_STORE_DIR, `${taskId}.json`);
+}
+
+function writeJob(taskId) {
+  clearTimeout(pendingWrites.get(taskId));
+  pendingWrites.delete(taskId);
+
+  const job = jobs.get(taskId);
+  if (!job) return Promise.resolve();
+
+  const snapshot = JSON.stringify(job);
+  const file = jobFile(taskId);
+  const queue = (writeQueues.get(taskId) || Promise.resolve())
+    .then(async () => {
+      // Write + rename so a crash mid-write never leaves a truncated job file
+      await fs.writeFile(`${file}.tmp`, snapshot, 'utf8');
+      await fs.rename(`${file}.tmp`, file);
+    })
+    .catch(err => console.warn(`Failed to persist job ${taskId}:`, err.message || err));
+  writeQueues.set(taskId, queue);
+  return queue;
+}
+
+function scheduleWrite(taskId) {
+  if (pendingWrites.has(taskId)) return;
+  const timer = setTimeout(() => writeJob(taskId), PROGRESS_WRITE_INTERVAL);
+  timer.unref?.();
+  pendingWrites.set(taskId, timer);
+}
+
+function isFinished(job) {
+  return !ACTIVE_STATUSES.has(job.status) && job.status !== PENDING_STATUS;
+}
+
+/**
+ * Create and persist a new job
+ */
+export async function createJob(fields) {
+  const now = new Date().toISOString();
+  const job = {
+    status: 'queued',
+    progress: 0,
+    downloadProgress: 0, // Separate download progress (0-100%)
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  };
+
+  jobs.set(job.taskId, job);
+  await fs.ensureDir(JOB_STORE_DIR);
+  await writeJob(job.taskId);
+  return job;
+}
+
+export function getJob(taskId) {
+  return jobs.get(taskId) || null;
+}
+
+/**
+ * List jobs, newest first (optionally only those with the given status)
+ */
+export function listJobs({ status } = {}) {
+  return [...jobs.values()]
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Apply a patch to a job and publish it to SSE listeners
+ * Status/result changes are written immediately, progress ticks are batched.
+ * A cancelled job stays cancelled: work finishing after the cancel cannot change its status or result.
+ */
+export function updateJob(taskId, patch) {
+  const job = jobs.get(taskId);
+  if (!job) return null;
+  if (job.status === 'cancelled' && (patch.status || patch.result)) return job;
+
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  if (patch.status && isFinished(job) && !job.finishedAt) {
+    job.finishedAt = job.updatedAt;
+  }
+
+  const progressOnly = Object.keys(patch).every(key => key === 'progress' || key === 'downloadProgress');
+  if (progressOnly) {
+    scheduleWrite(taskId);
+  } else {
+    writeJob(taskId);
+  }
+
+  if ('progress' in patch || 'downloadProgress' in patch) {
+    publishJobEvent(taskId, 'progress', { progress: job.progress, downloadProgress: job.downloadProgress || 0 });
+  }
+  if (patch.stage) {
+    publishJobEvent(taskId, 'stage', { stage: patch.stage });
+  }
+  // Result first, so a listener that stops at 'completed' already has it
+  if (patch.result) {
+    publishJobEvent(taskId, 'result', { result: job.result });
+  }
+  if (patch.status) {
+    publishJobEvent(taskId, 'status', {
+      status: job.status,
+      ...(job.error && { error: job.error }),
+      ...(job.warning && { warning: job.warning })
+    });
+  }
+  return job;
+}
+
+export async function deleteJob(taskId) {
+  if (!jobs.has(taskId)) return false;
+
+  clearTimeout(pendingWrites.get(taskId));
+  pendingWrites.delete(taskId);
+  jobs.delete(taskId);
+  await writeQueues.get(taskId);
+  writeQueues.delete(taskId);
+  await fs.remove(jobFile(taskId));
+  return true;
+}
+
+/**
+ * Delete finished jobs older than JOB_RETENTION_HOURS
+ */
+export async function purgeExpiredJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_HOURS * 3600000;
+  const expired = [...jobs.values()].filter(job =>
+    isFinished(job) && new Date(job.finishedAt || job.updatedAt).getTime() < cutoff
+  );
+
+  for (const job of expired) {
+    await deleteJob(job.taskId);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Removed ${expired.length} jobs older than ${JOB_RETENTION_HOURS}h`);
+  }
+  return expired.length;
+}
+
+/**
+ * Load persisted jobs, flag the ones a restart interrupted and start retention cleanup
+ * Jobs that were still waiting go back in the queue; jobs that were processing are
+ * interrupted (or restarted when JOB_RESUME_INTERRUPTED=true).
+ *
+ * @param {Object} options - { resume(job) } puts a job back in the queue
+ */
+export async function initJobStore({ resume } = {}) {
+  await fs.ensureDir(JOB_STORE_DIR);
+  const files = (await fs.readdir(JOB_STORE_DIR)).filter(f => f.endsWith('.json'));
+
+  for (const file of files) {
+    try {
+      const job = await fs.readJson(path.join(JOB_STORE_DIR, file));
+      jobs.set(job.taskId, job);
+    } catch (err) {
+      console.warn(`Failed to load job file ${file}:`, err.message || err);
+    }
+  }
+
+  // A persistent (Redis) queue still holds them - re-adding keeps their place
+  const waiting = [...jobs.values()]
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  if (resume) {
+    for (const job of waiting) {
+      Promise.resolve(resume(job)).catch(err => console.warn(`Failed to re-queue job ${job.taskId}:`, err.message || err));
+    }
+  }
+
+  const interrupted = [...jobs.values()].filter(job =>
+    job.status === 'processing' || (job.status === 'queued' && !resume)
+  );
+  for (const job of interrupted) {
+    const canResume = RESUME_INTERRUPTED && resume && (job.resumeAttempts || 0) < MAX_RESUME_ATTEMPTS;
+
+    if (canResume) {
+      updateJob(job.taskId, {
+        status: 'queued',
+        progress: 0,
+        downloadProgress: 0,
+        resumeAttempts: (job.resumeAttempts || 0) + 1,
+        resumedAt: new Date().toISOString()
+      });
+      console.log(`🔄 Resuming interrupted job ${job.taskId} (attempt ${job.resumeAttempts})`);
+      resume(job);
+    } else {
+      updateJob(job.taskId, {
+        status: 'interrupted',
+        error: 'Processing was interrupted by a server restart'
+      });
+    }
+  }
+
+  if (jobs.size > 0) {
+    const notes = [
+      resume && waiting.length && `${waiting.length} queued`,
+      interrupted.length && `${interrupted.length} interrupted`
+    ].filter(Boolean);
+    console.log(`🗄️  Loaded ${jobs.size} jobs from ${JOB_STORE_DIR}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+  }
+
+  await purgeExpiredJobs();
+  if (!retentionTimer) {
+    retentionTimer = setInterval(() => purgeExpiredJobs(), 3600000);
+    retentionTimer.unref?.();
+  }
+}
@@ -0,0 +1,380 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { identifyAudioSegment, getTrackKey } from './musicIdentifier.js';
+import { classifyAudioFile, containsMusic } from './audioClassifier.js';
+import { getStreamUrl } from './videoDownloader.js';
+import { parseAllowedHosts, checkPublicUrl } from '../utils/publicAddress.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Live monitors
+ *
+ * A monitor keeps one ffmpeg process reading a live stream (HLS, Icecast/Shoutcast, or a
+ * YouTube/Twitch live resolved with yt-dlp) and cutting it into rolling windows with the
+ * segment muxer. Each finished window is classified, identified and appended to the
+ * monitor's "as-played" log; a song heard again in the next windows extends its entry
+ * instead of adding a new one. Monitors run until stopped, across restarts.
+ */
+const MONITOR_STORE_DIR = process.env.MONITOR_STORE_DIR || path.join(__dirname, '../../data/monitors');
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(__dirname, '../../downloads');
+export const MONITOR_MAX_ACTIVE = parseInt(process.env.MONITOR_MAX_ACTIVE) || 5;
+const MONITOR_WINDOW_DURATION = parseInt(process.env.MONITOR_WINDOW_DURATION) || 20; // seconds
+// Same song again within this many seconds of its last window = still the same play
+const MONITOR_DEDUP_GAP = parseInt(process.env.MONITOR_DEDUP_GAP) || 90;
+// Oldest entries are dropped beyond this
+const MONITOR_MAX_LOG_ENTRIES = parseInt(process.env.MONITOR_MAX_LOG_ENTRIES) || 10000;
+// Windows waiting for identification - older ones are dropped when recognition can't keep up
+const MONITOR_MAX_PENDING_WINDOWS = 3;
+const MONITOR_RECONNECT_DELAY = parseInt(process.env.MONITOR_RECONNECT_DELAY) || 5000; // ms, doubled per failure
+const MONITOR_MAX_RECONNECT_DELAY = 60000;
+// Consecutive connection attempts without a single window before the monitor gives up
+const MONITOR_MAX_RECONNECTS = parseInt(process.env.MONITOR_MAX_RECONNECTS) || 10;
+// Optional allowlist of stream hosts; when set, only these are read (private ones included)
+const MONITOR_ALLOWED_HOSTS = parseAllowedHosts(process.env.MONITOR_ALLOWED_HOSTS);
+
+// Pages that need yt-dlp to find the actual stream
+const RESOLVE_HOSTS = /(^|\.)(youtube\.com|youtu\.be|twitch\.tv)$/;
+const ACTIVE_STATUSES = new Set(['starting', 'running', 'reconnecting']);
+
+const monitors = new Map(); // monitorId -> persisted monitor (including its log)
+const runtimes = new Map(); // monitorId -> { ffmpeg, timer, pending, busy, session, stopping }
+const writeQueues = new Map();
+
+function monitorFile(monitorId) {
+  return path.join(MONITOR_STORE_DIR, `${monitorId}.json`);
+}
+
+// Directly in DOWNLOAD_DIR: new windows keep its mtime fresh, so fileCleanup leaves it alone
+function monitorDirectory(monitorId) {
+  return path.join(DOWNLOAD_DIR, `monitor-${monitorId}`);
+}
+
+function saveMonitor(monitor) {
+  const snapshot = JSON.stringify(monitor);
+  const file = monitorFile(monitor.monitorId);
+  const queue = (writeQueues.get(monitor.monitorId) || Promise.resolve())
+    .then(async () => {
+      await fs.ensureDir(MONITOR_STORE_DIR);
+      await fs.writeFile(`${file}.tmp`, snapshot, 'utf8');
+      await fs.rename(`${file}.tmp`, file);
+    })
+    .catch(err => console.warn(`Failed to persist monitor ${monitor.monitorId}:`, err.message || err));
+  writeQueues.set(monitor.monitorId, queue);
+  return queue;
+}
+
+function update(monitor, patch) {
+  Object.assign(monitor, patch, { updatedAt: new Date().toISOString() });
+  // A window finishing after the monitor was deleted must not bring its file back
+  if (monitors.has(monitor.monitorId)) saveMonitor(monitor);
+}
+
+/**
+ * Append a match to the log, or extend the last entry when it's the same song still playing
+ */
+function logMatch(monitor, match, heardAt, windowEnd) {
+  const last = monitor.log[monitor.log.length - 1];
+  const key = getTrackKey(match);
+  const gap = last ? (heardAt.getTime() - new Date(last.lastHeardAt).getTime()) / 1000 : Infinity;
+
+  if (last && getTrackKey(last) === key && gap <= MONITOR_DEDUP_GAP) {
+    last.lastHeardAt = windowEnd.toISOString();
+    last.windows++;
+    last.confidence = Math.max(last.confidence, match.confidence);
+    return false;
+  }
+
+  monitor.log.push({
+    entryId: uuidv4(),
+    title: match.title,
+    artist: match.artist,
+    album: match.album || null,
+    isrc: match.isrc || null,
+    confidence: match.confidence,
+    provider: match.provider,
+    firstHeardAt: heardAt.toISOString(),
+    lastHeardAt: windowEnd.toISOString(),
+    windows: 1
+  });
+  if (monitor.log.length > MONITOR_MAX_LOG_ENTRIES) {
+    monitor.log.splice(0, monitor.log.length - MONITOR_MAX_LOG_ENTRIES);
+  }
+  return true;
+}
+
+async function identifyWindow(monitor, { file, endedAt }) {
+  const windowStart = new Date(endedAt.getTime() - monitor.windowDuration * 1000);
+  const stats = monitor.stats;
+  stats.windows++;
+
+  try {
+    if (monitor.classifyAudio) {
+      const classification = await classifyAudioFile(file);
+      if (!containsMusic({ classification })) {
+        stats.skipped++;
+        return;
+      }
+    }
+
+    const match = await identifyAudioSegment({ file, startTime: 0, endTime: monitor.windowDuration, segmentIndex: stats.windows });
+    if (!match) return;
+
+    stats.matched++;
+    const heardAt = new Date(windowStart.getTime() + (match.timestamp?.start || 0) * 1000);
+    if (logMatch(monitor, match, heardAt, endedAt)) {
+      console.log(`📻 [${monitor.name}] ${match.title} - ${match.artist}`);
+    }
+  } catch (error) {
+    stats.errors++;
+    console.warn(`Monitor ${monitor.monitorId}: window failed:`, error.message || error);
+  } finally {
+    fs.remove(file).catch(() => {});
+    update(monitor, { lastWindowAt: endedAt.toISOString() });
+  }
+}
+
+/**
+ * Identify finished windows one at a time, in order
+ */
+async function processWindows(monitor, runtime) {
+  if (runtime.busy) return;
+  runtime.busy = true;
+  try {
+    while (runtime.pending.length > 0) {
+      await identifyWindow(monitor, runtime.pending.shift());
+    }
+  } finally {
+    runtime.busy = false;
+  }
+}
+
+function scheduleReconnect(monitor, runtime) {
+  runtime.failures++;
+  if (runtime.failures > MONITOR_MAX_RECONNECTS) {
+    console.error(`❌ Monitor ${monitor.monitorId} gave up after ${MONITOR_MAX_RECONNECTS} failed connections`);
+    update(monitor, { status: 'error', stoppedAt: new Date().toISOString() });
+    runtimes.delete(monitor.monitorId);
+    fs.remove(monitorDirectory(monitor.monitorId)).catch(() => {});
+    return;
+  }
+
+  const delay = Math.min(MONITOR_RECONNECT_DELAY * 2 ** (runtime.failures - 1), MONITOR_MAX_RECONNECT_DELAY);
+  update(monitor, { status: 'reconnecting' });
+  console.warn(`↻ Monitor ${monitor.monitorId}: reconnecting in ${delay}ms (${runtime.failures}/${MONITOR_MAX_RECONNECTS})`);
+  runtime.timer = setTimeout(() => connect(monitor, runtime), delay);
+}
+
+/**
+ * Check a stream URL before a monitor reads it: http(s) and no private or local address
+ * @returns {Promise<string|null>} why it is refused, null when it may be read
+ */
+export function checkStreamUrl(url) {
+  return checkPublicUrl(url, { allowedHosts: MONITOR_ALLOWED_HOSTS, label: 'Stream URL' });
+}
+
+/**
+ * Start ffmpeg on the stream; finished windows are listed on its stdout by the segment muxer
+ */
+async function connect(monitor, runtime) {
+  if (runtime.stopping) return;
+  const dir = monitorDirectory(monitor.monitorId);
+  const session = ++runtime.session;
+
+  let input = monitor.url;
+  try {
+    await fs.ensureDir(dir);
+    // Checked on every connection: the host may resolve somewhere else by now
+    let refused = await checkStreamUrl(monitor.url);
+    if (!refused && monitor.resolve) {
+      input = await getStreamUrl(monitor.url);
+      refused = await checkStreamUrl(input);
+    }
+    if (refused) throw new Error(refused);
+  } catch (error) {
+    update(monitor, { lastError: error.message });
+    return scheduleReconnect(monitor, runtime);
+  }
+  if (runtime.stopping) return;
+
+  const isHttp = /^https?:\/\//i.test(input);
+  const args = [
+    '-hide_banner', '-loglevel', 'error', '-nostdin',
+    // Survive short network hiccups inside ffmpeg before giving up on the connection
+    ...(isHttp ? ['-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '10'] : []),
+    '-i', input,
+    '-vn', '-c:a', 'libmp3lame', '-b:a', '128k',
+    '-f', 'segment',
+    '-segment_time', String(monitor.windowDuration),
+    '-reset_timestamps', '1',
+    '-segment_list', 'pipe:1',
+    '-segment_list_type', 'flat',
+    path.join(dir, `s${session}_%06d.mp3`)
+  ];
+
+  const proc = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  runtime.ffmpeg = proc;
+  let stderr = '';
+  let buffered = '';
+
+  console.log(`📡 Monitor ${monitor.monitorId} connecting to ${monitor.url}`);
+
+  proc.stdout.on('data', (data) => {
+    buffered += data.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines.map(l => l.trim()).filter(Boolean)) {
+      // Audio is flowing - only now does the connection count as working
+      runtime.failures = 0;
+      if (monitor.status !== 'running') {
+        update(monitor, { status: 'running', lastError: null, connectedAt: new Date().toISOString() });
+      }
+      runtime.pending.push({ file: path.join(dir, path.basename(line)), endedAt: new Date() });
+      while (runtime.pending.length > MONITOR_MAX_PENDING_WINDOWS) {
+        const dropped = runtime.pending.shift();
+        monitor.stats.dropped++;
+        fs.remove(dropped.file).catch(() => {});
+      }
+      processWindows(monitor, runtime);
+    }
+  });
+  proc.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+  proc.on('error', (error) => {
+    stderr = error.message;
+  });
+  proc.on('close', (code) => {
+    if (runtime.ffmpeg === proc) runtime.ffmpeg = null;
+    if (runtime.stopping) return;
+
+    const reason = stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`;
+    update(monitor, { lastError: reason });
+    console.warn(`⚠️  Monitor ${monitor.monitorId} lost the stream: ${reason}`);
+    scheduleReconnect(monitor, runtime);
+  });
+}
+
+function startRuntime(monitor) {
+  const runtime = { ffmpeg: null, timer: null, pending: [], busy: false, session: 0, failures: 0, stopping: false };
+  runtimes.set(monitor.monitorId, runtime);
+  update(monitor, { status: 'starting', startedAt: new Date().toISOString(), stoppedAt: null, lastError: null });
+  connect(monitor, runtime);
+}
+
+export function countActiveMonitors() {
+  return [...monitors.values()].filter(monitor => ACTIVE_STATUSES.has(monitor.status)).length;
+}
+
+/**
+ * Create and start a monitor
+ *
+ * @param {Object} params - { url, name, windowDuration, classifyAudio, resolve }
+ */
+export async function createMonitor({ url, name, windowDuration, classifyAudio, resolve }) {
+  const hostname = new URL(url).hostname;
+  const monitor = {
+    monitorId: uuidv4(),
+    url,
+    name: name || hostname,
+    windowDuration: windowDuration || MONITOR_WINDOW_DURATION,
+    classifyAudio: classifyAudio ?? true,
+    resolve: resolve ?? RESOLVE_HOSTS.test(hostname),
+    status: 'starting',
+    createdAt: new Date().toISOString(),
+    stats: { windows: 0, matched: 0, skipped: 0, dropped: 0, errors: 0 },
+    log: []
+  };
+
+  monitors.set(monitor.monitorId, monitor);
+  startRuntime(monitor);
+  return monitor;
+}
+
+export function getMonitor(monitorId) {
+  return monitors.get(monitorId) || null;
+}
+
+/**
+ * Monitor without its log (for listings)
+ */
+export function summarizeMonitor(monitor) {
+  const { log, ...summary } = monitor;
+  return {
+    ...summary,
+    logEntries: log.length,
+    lastMatch: log[log.length - 1] || null
+  };
+}
+
+export function listMonitors() {
+  return [...monitors.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeMonitor);
+}
+
+/**
+ * Restart a stopped (or failed) monitor - the log continues where it left off
+ */
+export function resumeMonitor(monitor) {
+  if (ACTIVE_STATUSES.has(monitor.status)) return monitor;
+  startRuntime(monitor);
+  return monitor;
+}
+
+export async function stopMonitor(monitor) {
+  const runtime = runtimes.get(monitor.monitorId);
+  if (runtime) {
+    runtime.stopping = true;
+    runtime.pending = [];
+    clearTimeout(runtime.timer);
+    runtime.ffmpeg?.kill('SIGKILL');
+    runtimes.delete(monitor.monitorId);
+  }
+  if (ACTIVE_STATUSES.has(monitor.status)) {
+    update(monitor, { status: 'stopped', stoppedAt: new Date().toISOString() });
+    console.log(`⏹️  Monitor ${monitor.monitorId} stopped`);
+  }
+  await fs.remove(monitorDirectory(monitor.monitorId)).catch(() => {});
+  return monitor;
+}
+
+export async function deleteMonitor(monitor) {
+  await stopMonitor(monitor);
+  monitors.delete(monitor.monitorId);
+  await writeQueues.get(monitor.monitorId);
+  writeQueues.delete(monitor.monitorId);
+  await fs.remove(monitorFile(monitor.monitorId));
+}
+
+/**
+ * Load saved monitors and restart the ones that were running when the server stopped
+ */
+export async function initMonitors() {
+  await fs.ensureDir(MONITOR_STORE_DIR);
+  const files = (await fs.readdir(MONITOR_STORE_DIR)).filter(f => f.endsWith('.json'));
+
+  let restarted = 0;
+  for (const file of files) {
+    try {
+      const monitor = await fs.readJson(path.join(MONITOR_STORE_DIR, file));
+      monitors.set(monitor.monitorId, monitor);
+      if (ACTIVE_STATUSES.has(monitor.status)) {
+        await fs.remove(monitorDirectory(monitor.monitorId)).catch(() => {});
+        startRuntime(monitor);
+        restarted++;
+      }
+    } catch (err) {
+      console.warn(`Failed to load monitor file ${file}:`, err.message || err);
+    }
+  }
+  if (files.length > 0) {
+    console.log(`📻 Loaded ${files.length} monitors (${restarted} restarted)`);
+  }
+}
@@ -1,100 +1,198 @@
-import axios from 'axios';
-import FormData from 'form-data';
 import fs from 'fs-extra';
-import path from 'path';
-import crypto from 'crypto';
-import { preprocessSegment } from './audioExtractor.js';
+import { preprocessSegment, createSpeedVariant, PREPROCESS_STRATEGIES } from './audioExtractor.js';
+import { getActiveProviders, getProviderChain } from './providers/index.js';
+import { getAudioSignature, getCachedIdentification, cacheIdentification, cacheNoMatch } from './identCache.js';
+
+const PARALLEL_SEGMENTS = parseInt(process.env.PARALLEL_SEGMENTS) || 10;
+// Process MAXIMUM segments in parallel for fastest identification
+const MAX_CONCURRENT_IDENTIFICATIONS = parseInt(process.env.MAX_CONCURRENT_IDENTIFICATIONS) || 50; // Increased from 20 to 50!
+
+// Preprocessing strategies to try, in order, for providers that take preprocessed audio
+const PREPROCESS_CHAIN = (process.env.PREPROCESS_STRATEGIES || 'loudnorm,vocal-reduce,highpass,mono,raw')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => {
+    if (!name) return false;
+    if (!PREPROCESS_STRATEGIES[name]) {
+      console.warn(`Unknown preprocessing strategy "${name}" in PREPROCESS_STRATEGIES - ignoring`);
+      return false;
+    }
+    return true;
+  });
+// Extra attempts per segment after a "no result" (each one is another API call)
+const PREPROCESS_RETRY_BUDGET = parseInt(process.env.PREPROCESS_RETRY_BUDGET ?? '2', 10);
+
+// Speed factors tried for sped up / slowed edits, closest to normal first (1.2 = clip is 20% faster)
+const SPEED_FACTORS = (process.env.SPEED_VARIANTS || '1.05,0.95,1.1,0.9,1.2,0.8')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(factor => factor > 0 && factor !== 1);
+// 'pitch' = resampled edits (pitch moves with tempo), 'tempo' = time-stretched edits
+const SPEED_VARIANT_MODE = process.env.SPEED_VARIANT_MODE === 'tempo' ? 'tempo' : 'pitch';
+
+/**
+ * Place a provider match on the video timeline
+ * timestamp = where in the video the song plays, songOffset = which part of the song is used
+ */
+function placeMatch({ track, offsets }, segment) {
+  const segmentDuration = segment.endTime - segment.startTime;
+
+  const sampleStart = Math.max(0, Math.min(offsets?.sampleStart ?? 0, segmentDuration));
+  const sampleEnd = Math.max(sampleStart, Math.min(offsets?.sampleEnd ?? segmentDuration, segmentDuration));
 
-// Get credentials at runtime to ensure .env is loaded
-function getACRCloudConfig() {
   return {
-    host: process.env.ACRCLOUD_HOST || 'identify-us-west-2.acrcloud.com',
-    accessKey: process.env.ACRCLOUD_ACCESS_KEY,
-    accessSecret: process.env.ACRCLOUD_ACCESS_SECRET
+    ...track,
+    timestamp: {
+      start: Math.round((segment.startTime + sampleStart) * 10) / 10,
+      end: Math.round((segment.startTime + sampleEnd) * 10) / 10
+    },
+    songOffset: offsets ? {
+      start: Math.round(offsets.songStart * 10) / 10,
+      end: Math.round(offsets.songEnd * 10) / 10
+    } : null
   };
 }
 
-const PARALLEL_SEGMENTS = parseInt(process.env.PARALLEL_SEGMENTS) || 10;
-// Use same segment duration as downloader (default 15s)
-const SEGMENT_DURATION = parseInt(process.env.SEGMENT_DURATION) || 15;
-// Process MAXIMUM segments in parallel for fastest identification
-const MAX_CONCURRENT_IDENTIFICATIONS = parseInt(process.env.MAX_CONCURRENT_IDENTIFICATIONS) || 50; // Increased from 20 to 50!
+/**
+ * Build the segment result: the top-ranked match plus every ranked candidate
+ */
+function buildTrackResult({ matches, provider, preprocessing = null, speedFactor = 1 }, segment) {
+  const candidates = matches.map((match, index) => ({
+    rank: index + 1,
+    ...placeMatch(match, segment)
+  }));
+
+  return {
+    ...placeMatch(matches[0], segment),
+    provider,
+    preprocessing,
+    speedFactor,
+    candidates,
+    segmentIndex: segment.segmentIndex
+  };
+}
 
-// Simple persistent cache to avoid re-sending identical segments to ACRCloud
-const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(process.cwd(), 'backend', 'downloads');
-const CACHE_FILE = path.join(DOWNLOAD_DIR, 'ident_cache.json');
-let identCache = new Map();
+/**
+ * Run one audio file through the provider chain
+ * Providers that take preprocessed audio are retried with the next preprocessing
+ * strategy on "no result" while the retry budget lasts.
+ *
+ * @param {Object} context - { segmentIndex, segmentDuration, originalFile, retryBudget, speedFactor, quotaExhausted,
+ *                             state: { incomplete } set when a provider failed instead of answering "no result" }
+ * @returns {Object|null} position-independent match { matches, provider, preprocessing, speedFactor }
+ */
+async function runProviderChain(audioFile, providers, context) {
+  const { segmentIndex, segmentDuration, originalFile, speedFactor = 1 } = context;
 
-async function loadCache() {
-  try {
-    if (await fs.pathExists(CACHE_FILE)) {
-      const raw = await fs.readFile(CACHE_FILE, 'utf8');
-      const obj = JSON.parse(raw);
-      identCache = new Map(Object.entries(obj));
+  // Preprocess lazily - only strategies a provider actually gets to try are rendered
+  const preprocessedFiles = new Map(); // strategy -> file (null when the strategy doesn't apply)
+  const getPreprocessedFile = async (strategy) => {
+    if (!preprocessedFiles.has(strategy)) {
+      try {
+        preprocessedFiles.set(strategy, await preprocessSegment(audioFile, strategy));
+      } catch (preErr) {
+        console.warn('Preprocessing error, using original segment:', preErr.message || preErr);
+        preprocessedFiles.set(strategy, audioFile);
+      }
     }
-  } catch (err) {
-    console.warn('Failed to load ident cache:', err.message || err);
-  }
-}
+    return preprocessedFiles.get(strategy);
+  };
+  let retriesLeft = context.retryBudget;
 
-async function saveCache() {
   try {
-    const obj = Object.fromEntries(identCache);
-    await fs.ensureDir(DOWNLOAD_DIR);
-    await fs.writeFile(CACHE_FILE, JSON.stringify(obj, null, 2), 'utf8');
-  } catch (err) {
-    console.warn('Failed to save ident cache:', err.message || err);
+    for (const provider of providers) {
+      const strategies = provider.usesPreprocessedAudio && PREPROCESS_CHAIN.length > 0 ? PREPROCESS_CHAIN : [null];
+      const sentFiles = new Set();
+
+      for (const strategy of strategies) {
+        if (sentFiles.size > 0 && retriesLeft <= 0) break;
+
+        const fileToSend = strategy ? await getPreprocessedFile(strategy) : audioFile;
+        // Not applicable, or fell back to a file this provider already heard
+        if (!fileToSend || sentFiles.has(fileToSend)) continue;
+
+        if (sentFiles.size > 0) {
+          retriesLeft--;
+          console.log(`🔁 Retrying segment ${segmentIndex} on ${provider.name} with "${strategy}" preprocessing`);
+        }
+        sentFiles.add(fileToSend);
+
+        const outcome = await provider.identify(fileToSend, {
+          segmentIndex,
+          // A slowed-down variant is longer than the segment it came from
+          segmentDuration: segmentDuration * speedFactor,
+          originalFile
+        });
+
+        if (outcome?.status === 'matched' && outcome.matches?.length) {
+          return {
+            matches: speedFactor === 1 ? outcome.matches : outcome.matches.map(match => rescaleOffsets(match, speedFactor)),
+            provider: provider.name,
+            preprocessing: strategy,
+            speedFactor
+          };
+        }
+
+        if (outcome?.status === 'quota_exhausted') {
+          context.quotaExhausted?.add(provider.name);
+        }
+        if (outcome?.status !== 'no_match' && context.state) {
+          context.state.incomplete = true;
+        }
+
+        // Only "no result" is worth another strategy - errors won't go away with different audio
+        if (outcome?.status !== 'no_match') break;
+      }
+    }
+  } finally {
+    // Preprocessed renders are only for this attempt - the original segment stays
+    const renders = [...preprocessedFiles.values()].filter(file => file && file !== audioFile);
+    await Promise.all(renders.map(file => fs.remove(file).catch(() => {})));
   }
-}
 
-// Load cache at startup (fire-and-forget)
-loadCache();
+  return null;
+}
 
 /**
- * Generate ACRCloud signature
+ * Map sample offsets measured on a speed variant back onto the original segment
+ * (song offsets are already in song time)
  */
-function generateSignature(accessKey, accessSecret, httpMethod, uri, dataType, signatureVersion, timestamp) {
-  const stringToSign = `${httpMethod}\n${uri}\n${accessKey}\n${dataType}\n${signatureVersion}\n${timestamp}`;
-  const signature = crypto
-    .createHmac('sha1', accessSecret)
-    .update(stringToSign)
-    .digest('base64');
-  return signature;
+function rescaleOffsets(match, speedFactor) {
+  if (!match.offsets) return match;
+  return {
+    ...match,
+    offsets: {
+      ...match.offsets,
+      sampleStart: match.offsets.sampleStart / speedFactor,
+      sampleEnd: match.offsets.sampleEnd / speedFactor
+    }
+  };
 }
 
 /**
- * Identify music from audio file using ACRCloud
+ * Identify a single segment by running it through the provider chain
+ * The first provider that returns a match wins; the result records which one answered.
+ * With `speedVariants`, an unmatched segment is retried at other speeds.
+ *
+ * @param {Object} segment - { file, startTime, endTime, segmentIndex }
+ * @param {Object} options - { speedVariants, speedFactors, quotaExhausted: Set collecting providers that ran out of quota }
  */
-async function identifyWithACRCloud(audioFile, segmentIndex) {
-  const config = getACRCloudConfig();
-  
-  if (!config.accessKey || !config.accessSecret) {
-    console.warn(`ACRCloud credentials not configured - skipping segment ${segmentIndex}`);
-    return null; // Return null instead of throwing - allows processing to continue
-  }
-
+async function identifySegment(segment, providers, options = {}) {
+  const { file: audioFile, segmentIndex } = segment;
   // Check if file exists and is readable
   try {
     if (!(await fs.pathExists(audioFile))) {
       console.error(`Segment file not found: ${audioFile}`);
       return null;
     }
-    
+
     const fileStats = await fs.stat(audioFile);
     if (fileStats.size === 0) {
       console.error(`Segment file is empty: ${audioFile}`);
       return null;
     }
-    
-    // Check file size limit (ACRCloud has limits - typically 1MB for free tier)
-    // Using 1MB to be safe, but can be increased for paid tiers
-    const maxFileSize = 1 * 1024 * 1024; // 1MB limit
-    if (fileStats.size > maxFileSize) {
-      console.warn(`Segment file too large (${Math.round(fileStats.size / 1024)}KB, max 1MB): ${audioFile}`);
-      return null;
-    }
-    
-    // Check minimum file size (ACRCloud needs at least some audio data)
+
+    // Check minimum file size (recognizers need at least some audio data)
     if (fileStats.size < 1000) { // Less than 1KB is probably invalid
       console.warn(`Segment file too small (${fileStats.size} bytes): ${audioFile}`);
       return null;
@@ -104,174 +202,124 @@ async function identifyWithACRCloud(audioFile, segmentIndex) {
     return null;
   }
 
-  // Preprocess segment to improve fingerprint quality (normalize + bandpass)
-  let fileToSend = audioFile;
+  // Cache by audio content (landmark hashes), not the file bytes
+  let audioSignature = null;
   try {
-    fileToSend = await preprocessSegment(audioFile);
-  } catch (preErr) {
-    console.warn('Preprocessing error, using original segment:', preErr.message || preErr);
-    fileToSend = audioFile;
+    audioSignature = await getAudioSignature(audioFile);
+  } catch (keyError) {
+    console.warn('Failed to fingerprint segment for cache:', keyError.message || keyError);
   }
+  // A "no result" only holds for the same kind of lookup (speed variants find more)
+  const negativeScope = options.speedVariants ? `speed:${(options.speedFactors || SPEED_FACTORS).join(',')}` : '';
 
-  // Compute a hash of the file to use as cache key
-  let fileHash = null;
-  try {
-    const buf = await fs.readFile(fileToSend);
-    fileHash = crypto.createHash('sha256').update(buf).digest('hex');
-  } catch (hErr) {
-    console.warn('Failed to hash segment for cache:', hErr.message || hErr);
-  }
-
-  // If cached result exists, return it
-  if (fileHash && identCache.has(fileHash)) {
-    try {
-      const cached = JSON.parse(identCache.get(fileHash));
+  if (audioSignature) {
+    const cached = await getCachedIdentification(audioSignature, negativeScope);
+    if (cached?.value) {
+      // Place the position-independent match on this segment's position
       console.log(`Cache hit for segment ${segmentIndex}`);
-      return cached;
-    } catch (cErr) {
-      identCache.delete(fileHash);
+      return buildTrackResult(cached.value, segment);
     }
-  }
-
-  try {
-    const timestamp = Math.floor(Date.now() / 1000);
-    const httpMethod = 'POST';
-    const uri = '/v1/identify';
-    const dataType = 'audio';
-    const signatureVersion = '1';
-    
-    const signature = generateSignature(
-      config.accessKey,
-      config.accessSecret,
-      httpMethod,
-      uri,
-      dataType,
-      signatureVersion,
-      timestamp
-    );
-
-    const fileStats = await fs.stat(fileToSend);
-    const formData = new FormData();
-    
-    // Use absolute path to avoid issues with special characters
-    const absolutePath = path.isAbsolute(fileToSend) ? fileToSend : path.resolve(fileToSend);
-    const filename = path.basename(absolutePath);
-    
-    // Append file with proper options for ACRCloud
-    formData.append('sample', fs.createReadStream(absolutePath), {
-      filename: filename,
-      contentType: 'audio/mpeg' // MP3 MIME type
-    });
-    formData.append('access_key', config.accessKey);
-    formData.append('data_type', dataType);
-    formData.append('signature_version', signatureVersion);
-    formData.append('signature', signature);
-    formData.append('sample_bytes', fileStats.size.toString());
-    formData.append('timestamp', timestamp.toString());
-
-    const response = await axios.post(
-      `https://${config.host}${uri}`,
-      formData,
-      {
-        headers: formData.getHeaders(),
-        timeout: 10000, // Reduced timeout to 10s for faster failure (was 15s)
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      }
-    );
-
-    // Log response for debugging
-    if (!response.data || !response.data.status) {
-      console.warn(`ACRCloud invalid response for segment ${segmentIndex}:`, response.data);
+    if (cached?.negative) {
+      console.log(`Cached no-match for segment ${segmentIndex}`);
       return null;
     }
+  }
 
-    if (response.data.status.code !== 0) {
-      console.log(`ACRCloud response for segment ${segmentIndex}:`, {
-        code: response.data.status.code,
-        msg: response.data.status.msg || response.data.status.message
-      });
-      
-      // Handle specific error codes
-      if (response.data.status.code === 3001) {
-        console.warn(`No result found for segment ${segmentIndex} (code 3001)`);
-      } else if (response.data.status.code === 3003) {
-        console.warn(`ACRCloud service error for segment ${segmentIndex} (code 3003)`);
-      } else if (response.data.status.code === 2001) {
-        console.error(`ACRCloud authentication failed (code 2001) - check credentials`);
-      }
-      return null;
-    }
+  const context = {
+    segmentIndex,
+    segmentDuration: segment.endTime - segment.startTime,
+    originalFile: audioFile,
+    retryBudget: PREPROCESS_RETRY_BUDGET,
+    quotaExhausted: options.quotaExhausted,
+    state: { incomplete: false }
+  };
+  let match = await runProviderChain(audioFile, providers, context);
 
-    if (response.data.status.code === 0 && response.data.metadata?.music?.length > 0) {
-      const track = response.data.metadata.music[0];
-      console.log(`✅ Identified track in segment ${segmentIndex}: ${track.title} by ${track.artists?.[0]?.name}`);
-      const result = {
-        title: track.title || 'Unknown',
-        artist: track.artists?.[0]?.name || 'Unknown Artist',
-        album: track.album?.name || null,
-        genre: track.genres?.[0]?.name || null,
-        releaseDate: track.release_date || null,
-        duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : null,
-        timestamp: {
-          start: segmentIndex * SEGMENT_DURATION,
-          end: (segmentIndex + 1) * SEGMENT_DURATION
-        },
-        confidence: Math.round(track.score * 100) || 0,
-        acrcloudId: track.acrid || null,
-        externalIds: {
-          spotify: track.external_ids?.spotify || null,
-          isrc: track.external_ids?.isrc || null
-        }
-      };
-
-      // Cache result if we have a file hash
-      if (fileHash) {
-        try {
-          identCache.set(fileHash, JSON.stringify(result));
-          saveCache();
-        } catch (cacheErr) {
-          console.warn('Failed to write ident cache:', cacheErr.message || cacheErr);
-        }
+  // Sped up / slowed edits: bring the segment back to normal speed and try again
+  if (!match && options.speedVariants) {
+    for (const speedFactor of options.speedFactors || SPEED_FACTORS) {
+      let variantFile;
+      try {
+        variantFile = await createSpeedVariant(audioFile, speedFactor, SPEED_VARIANT_MODE);
+      } catch (variantError) {
+        console.warn(`Speed variant ${speedFactor}x failed for segment ${segmentIndex}:`, variantError.message);
+        continue;
       }
 
-      return result;
+      console.log(`⏩ Retrying segment ${segmentIndex} as a ${speedFactor}x speed edit`);
+      // One attempt per provider per variant - the variants already multiply the API calls
+      try {
+        match = await runProviderChain(variantFile, providers, { ...context, retryBudget: 0, speedFactor });
+      } finally {
+        await fs.remove(variantFile).catch(() => {});
+      }
+      if (match) break;
     }
+  }
 
-    return null;
-  } catch (error) {
-    // Better error logging
-    if (error.response) {
-      console.error(`ACRCloud API error for segment ${segmentIndex}:`, {
-        status: error.response.status,
-        data: error.response.data
-      });
-    } else if (error.request) {
-      console.error(`ACRCloud request failed for segment ${segmentIndex}:`, error.message);
-    } else {
-      console.error(`ACRCloud error for segment ${segmentIndex}:`, error.message);
+  if (!match) {
+    // Only cache a clean "no result" from every provider - errors and spent quotas are worth retrying
+    if (audioSignature && !context.state.incomplete) {
+      await cacheNoMatch(audioSignature, negativeScope);
     }
     return null;
   }
+
+  const [top] = match.matches;
+  const via = [match.preprocessing, match.speedFactor !== 1 && `${match.speedFactor}x speed`].filter(Boolean).join(', ');
+  console.log(`✅ Identified track in segment ${segmentIndex} via ${match.provider}${via ? ` (${via})` : ''}: ${top.track.title} by ${top.track.artist} (${match.matches.length} candidates)`);
+
+  // Cache the position-independent match
+  if (audioSignature) {
+    await cacheIdentification(audioSignature, match);
+  }
+
+  return buildTrackResult(match, segment);
+}
+
+/**
+ * Key used to decide whether two matches are the same song
+ */
+export function getTrackKey(track) {
+  return `${track.title}-${track.artist}`.toLowerCase();
+}
+
+/**
+ * Identify one extra piece of audio (e.g. a boundary probe) with the active provider chain
+ *
+ * @param {Object} segment - { file, startTime, endTime, segmentIndex }
+ * @param {Object} options - { speedVariants, speedFactors }
+ */
+export async function identifyAudioSegment(segment, options = {}) {
+  const providers = await getActiveProviders();
+  if (providers.length === 0) return null;
+  return identifySegment(segment, providers, options);
 }
 
 /**
  * Identify music tracks from audio segments
  * Process ALL segments in parallel for maximum speed (no chunking delay!)
+ * Returns one match per identified segment - trackTimeline groups them into occurrences.
+ *
+ * @param {Array} segments - [{ file, startTime, endTime, segmentIndex }] with real positions in the video
+ * @param {Function} onProgress - called with the overall job progress (70-90%)
+ * @param {Object} options - { speedVariants, quotaExhausted } (see identifySegment),
+ *                           onSegment(segment, match) called as each segment finishes (match null = no match)
  */
-export async function identifyMusicTracks(segmentFiles, job) {
-  const totalSegments = segmentFiles.length;
-
-  // Check if credentials are configured (get at runtime)
-  const config = getACRCloudConfig();
-  if (!config.accessKey || !config.accessSecret) {
-    console.warn('⚠️  ACRCloud credentials not configured. Music identification will be skipped.');
-    console.warn('   Please add ACRCLOUD_ACCESS_KEY and ACRCLOUD_ACCESS_SECRET to your .env file');
-    console.warn(`   Current values: KEY=${config.accessKey ? 'SET' : 'MISSING'}, SECRET=${config.accessSecret ? 'SET' : 'MISSING'}`);
+export async function identifyMusicTracks(segments, onProgress, options = {}) {
+  const totalSegments = segments.length;
+
+  // Check which providers in the chain are ready (evaluated at runtime so .env is loaded)
+  const providers = await getActiveProviders();
+  if (providers.length === 0) {
+    console.warn('⚠️  No recognition provider configured. Music identification will be skipped.');
+    console.warn(`   Chain (RECOGNITION_PROVIDERS): ${getProviderChain().map(p => p.name).join(', ') || 'empty'}`);
+    console.warn('   Add ACRCLOUD_ACCESS_KEY/ACRCLOUD_ACCESS_SECRET, AUDD_API_TOKEN, or reference tracks to the local index');
     return []; // Return empty array - processing continues without music identification
   }
-  
-  console.log(`✅ Using ACRCloud host: ${config.host}`);
+
+  const descriptions = await Promise.all(providers.map(provider => provider.describe()));
+  console.log(`✅ Recognition chain: ${descriptions.join(' → ')}`);
 
   console.log(`Identifying music from ${totalSegments} segments (processing ALL in parallel)...`);
 
@@ -281,54 +329,30 @@ export async function identifyMusicTracks(segmentFiles, job) {
   
   // Process all segments in parallel batches
   const allResults = [];
-  for (let i = 0; i < segmentFiles.length; i += maxConcurrent) {
-    const batch = segmentFiles.slice(i, i + maxConcurrent);
+  for (let i = 0; i < segments.length; i += maxConcurrent) {
+    const batch = segments.slice(i, i + maxConcurrent);
     
     // Process entire batch in parallel
     const batchResults = await Promise.all(
-      batch.map((segment, batchIndex) => 
-        identifyWithACRCloud(segment, i + batchIndex)
-      )
+      batch.map(async segment => {
+        const match = await identifySegment(segment, providers, options);
+        options.onSegment?.(segment, match);
+        return match;
+      })
     );
     
     allResults.push(...batchResults.filter(Boolean));
 
     // Update progress
-    if (job) {
+    if (onProgress) {
       const progress = 70 + Math.round(((i + batch.length) / totalSegments) * 20);
-      job.progress = Math.min(progress, 90);
+      onProgress(Math.min(progress, 90));
     }
 
     console.log(`Processed ${Math.min(i + maxConcurrent, totalSegments)}/${totalSegments} segments (${allResults.length} tracks found)`);
-    
-    // Minimal delay between batches (reduced from 100ms to 50ms for faster processing)
-    if (i + maxConcurrent < segmentFiles.length) {
-      await new Promise(resolve => setTimeout(resolve, 50)); // 50ms delay (was 100ms)
-    }
-  }
-
-  const identifiedTracks = allResults;
-
-  // Remove duplicates (same track appearing in multiple segments)
-  const uniqueTracks = [];
-  const seenTracks = new Set();
-
-  for (const track of identifiedTracks) {
-    const trackKey = `${track.title}-${track.artist}`.toLowerCase();
-    if (!seenTracks.has(trackKey)) {
-      seenTracks.add(trackKey);
-      uniqueTracks.push(track);
-    } else {
-      // Merge timestamps if same track
-      const existing = uniqueTracks.find(
-        t => `${t.title}-${t.artist}`.toLowerCase() === trackKey
-      );
-      if (existing && existing.timestamp) {
-        existing.timestamp.end = Math.max(existing.timestamp.end, track.timestamp.end);
-      }
-    }
+    // No delay between batches - metered providers pace themselves with a token bucket
   }
 
-  console.log(`Identified ${uniqueTracks.length} unique tracks`);
-  return uniqueTracks;
+  // Segments may complete out of order - keep the timeline chronological
+  return allResults.sort((a, b) => a.timestamp.start - b.timestamp.start);
 }
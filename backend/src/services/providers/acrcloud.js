@@ -0,0 +1,258 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { getTaskSignal } from '../../utils/taskContext.js';
+
+// Get credentials at runtime to ensure .env is loaded
+function getACRCloudConfig() {
+  return {
+    host: process.env.ACRCLOUD_HOST || 'identify-us-west-2.acrcloud.com',
+    accessKey: process.env.ACRCLOUD_ACCESS_KEY,
+    accessSecret: process.env.ACRCLOUD_ACCESS_SECRET
+  };
+}
+
+/**
+ * Generate ACRCloud signature
+ */
+function generateSignature(accessKey, accessSecret, httpMethod, uri, dataType, signatureVersion, timestamp) {
+  const stringToSign = `${httpMethod}\n${uri}\n${accessKey}\n${dataType}\n${signatureVersion}\n${timestamp}`;
+  const signature = crypto
+    .createHmac('sha1', accessSecret)
+    .update(stringToSign)
+    .digest('base64');
+  return signature;
+}
+
+/**
+ * Build the signed multipart form ACRCloud expects
+ */
+async function buildIdentifyForm(audioFile, config) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const dataType = 'audio';
+  const signatureVersion = '1';
+
+  const signature = generateSignature(
+    config.accessKey,
+    config.accessSecret,
+    'POST',
+    '/v1/identify',
+    dataType,
+    signatureVersion,
+    timestamp
+  );
+
+  const fileStats = await fs.stat(audioFile);
+  const formData = new FormData();
+
+  // Use absolute path to avoid issues with special characters
+  const absolutePath = path.isAbsolute(audioFile) ? audioFile : path.resolve(audioFile);
+  const filename = path.basename(absolutePath);
+
+  // Append file with proper options for ACRCloud
+  formData.append('sample', fs.createReadStream(absolutePath), {
+    filename: filename,
+    contentType: 'audio/mpeg' // MP3 MIME type
+  });
+  formData.append('access_key', config.accessKey);
+  formData.append('data_type', dataType);
+  formData.append('signature_version', signatureVersion);
+  formData.append('signature', signature);
+  formData.append('sample_bytes', fileStats.size.toString());
+  formData.append('timestamp', timestamp.toString());
+
+  return formData;
+}
+
+/**
+ * ACRCloud scores are 0-100 (older docs show 0-1) - normalize to a 0-100 confidence
+ */
+function normalizeScore(score) {
+  if (!score) return 0;
+  return Math.round(score <= 1 ? score * 100 : score);
+}
+
+/**
+ * Convert an ACRCloud music entry into our track shape
+ */
+function parseTrack(track) {
+  return {
+    title: track.title || 'Unknown',
+    artist: track.artists?.[0]?.name || 'Unknown Artist',
+    album: track.album?.name || null,
+    genre: track.genres?.[0]?.name || null,
+    genres: (track.genres || []).map(genre => genre.name).filter(Boolean),
+    label: track.label || null,
+    releaseDate: track.release_date || null,
+    duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : null,
+    confidence: normalizeScore(track.score),
+    acrcloudId: track.acrid || null,
+    source: 'music',
+    externalIds: {
+      spotify: track.external_ids?.spotify || null,
+      isrc: track.external_ids?.isrc || null
+    },
+    externalMetadata: track.external_metadata || null
+  };
+}
+
+/**
+ * Convert a custom_files entry (our own ACRCloud bucket) into our track shape
+ * Custom buckets carry whatever fields were uploaded, so fall back generously.
+ */
+function parseCustomFile(file) {
+  return {
+    title: file.title || file.audio_id || 'Unknown',
+    artist: file.artist || file.artists?.[0]?.name || 'Unknown Artist',
+    album: file.album?.name || file.album || null,
+    genre: null,
+    genres: [],
+    label: file.label || null,
+    releaseDate: file.release_date || null,
+    duration: file.duration_ms ? Math.round(file.duration_ms / 1000) : null,
+    confidence: normalizeScore(file.score),
+    acrcloudId: file.acrid || null,
+    source: 'custom',
+    customFileId: file.audio_id || null,
+    bucketId: file.bucket_id || null,
+    externalIds: {
+      spotify: null,
+      isrc: file.isrc || null
+    },
+    externalMetadata: null
+  };
+}
+
+/**
+ * Work out which part of the sample matched and which part of the song it is
+ * Newer responses include explicit sample/db offsets; otherwise fall back to
+ * play_offset_ms, which is the song position at the end of the sample.
+ */
+function parseOffsets(track, sampleDuration) {
+  if (track.sample_begin_time_offset_ms !== undefined && track.db_begin_time_offset_ms !== undefined) {
+    const sampleStart = track.sample_begin_time_offset_ms / 1000;
+    const songStart = track.db_begin_time_offset_ms / 1000;
+    // End offsets are sometimes left out - the match then runs for the length of the sample
+    const endOf = (endMs, start) => (endMs !== undefined ? endMs / 1000 : start + (sampleDuration || 0));
+    return {
+      sampleStart,
+      sampleEnd: endOf(track.sample_end_time_offset_ms, sampleStart),
+      songStart,
+      songEnd: endOf(track.db_end_time_offset_ms, songStart)
+    };
+  }
+
+  if (track.play_offset_ms !== undefined && sampleDuration) {
+    const songEnd = track.play_offset_ms / 1000;
+    return {
+      sampleStart: 0,
+      sampleEnd: sampleDuration,
+      songStart: Math.max(0, songEnd - sampleDuration),
+      songEnd
+    };
+  }
+
+  return null;
+}
+
+/**
+ * ACRCloud recognition provider
+ */
+export const acrcloudProvider = {
+  name: 'acrcloud',
+  usesPreprocessedAudio: true,
+  requestsPerSecond: 5,
+
+  isConfigured() {
+    const config = getACRCloudConfig();
+    return !!(config.accessKey && config.accessSecret);
+  },
+
+  describe() {
+    return `ACRCloud (${getACRCloudConfig().host})`;
+  },
+
+  async identify(audioFile, { segmentIndex, segmentDuration }) {
+    const config = getACRCloudConfig();
+
+    // Check file size limit (ACRCloud has limits - typically 1MB for free tier)
+    // Using 1MB to be safe, but can be increased for paid tiers
+    const fileStats = await fs.stat(audioFile);
+    const maxFileSize = 1 * 1024 * 1024; // 1MB limit
+    if (fileStats.size > maxFileSize) {
+      console.warn(`Segment file too large (${Math.round(fileStats.size / 1024)}KB, max 1MB): ${audioFile}`);
+      return { status: 'error', message: 'Segment too large for ACRCloud' };
+    }
+
+    try {
+      const formData = await buildIdentifyForm(audioFile, config);
+
+      const response = await axios.post(
+        `https://${config.host}/v1/identify`,
+        formData,
+        {
+          headers: formData.getHeaders(),
+          timeout: 10000, // Reduced timeout to 10s for faster failure (was 15s)
+          signal: getTaskSignal(), // aborted when the job is cancelled
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        }
+      );
+
+      // Log response for debugging
+      if (!response.data || !response.data.status) {
+        console.warn(`ACRCloud invalid response for segment ${segmentIndex}:`, response.data);
+        return { status: 'error', message: 'Invalid ACRCloud response' };
+      }
+
+      const { code } = response.data.status;
+      if (code !== 0) {
+        console.log(`ACRCloud response for segment ${segmentIndex}:`, {
+          code,
+          msg: response.data.status.msg || response.data.status.message
+        });
+
+        // Handle specific error codes
+        if (code === 3001) {
+          console.warn(`No result found for segment ${segmentIndex} (code 3001)`);
+          return { status: 'no_match', code };
+        } else if (code === 3003) {
+          // The account's request limit - retrying only burns more of it
+          console.warn(`ACRCloud request limit exceeded for segment ${segmentIndex} (code 3003)`);
+          return { status: 'quota_exhausted', code, message: 'ACRCloud request limit exceeded' };
+        } else if (code === 2001) {
+          console.error(`ACRCloud authentication failed (code 2001) - check credentials`);
+        }
+        return { status: 'error', code, message: response.data.status.msg };
+      }
+
+      // Every candidate from the public catalog and our custom buckets, best first
+      const metadata = response.data.metadata || {};
+      const matches = [
+        ...(metadata.music || []).map(entry => ({ track: parseTrack(entry), offsets: parseOffsets(entry, segmentDuration) })),
+        ...(metadata.custom_files || []).map(entry => ({ track: parseCustomFile(entry), offsets: parseOffsets(entry, segmentDuration) }))
+      ].sort((a, b) => b.track.confidence - a.track.confidence);
+
+      if (matches.length === 0) {
+        return { status: 'no_match', code };
+      }
+
+      return { status: 'matched', matches };
+    } catch (error) {
+      // Better error logging
+      if (error.response) {
+        console.error(`ACRCloud API error for segment ${segmentIndex}:`, {
+          status: error.response.status,
+          data: error.response.data
+        });
+      } else if (error.request) {
+        console.error(`ACRCloud request failed for segment ${segmentIndex}:`, error.message);
+      } else {
+        console.error(`ACRCloud error for segment ${segmentIndex}:`, error.message);
+      }
+      return { status: 'error', code: error.response?.status ?? error.code, message: error.message };
+    }
+  }
+};
@@ -0,0 +1,94 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs-extra';
+import path from 'path';
+import { getTaskSignal } from '../../utils/taskContext.js';
+
+const AUDD_API_URL = 'https://api.audd.io/';
+
+/**
+ * Parse AudD's "mm:ss" / "hh:mm:ss" timecode (song position of the sample start)
+ */
+function parseTimecode(timecode) {
+  if (!timecode) return null;
+  return timecode.split(':').reduce((total, part) => total * 60 + (parseInt(part) || 0), 0);
+}
+
+/**
+ * AudD recognition provider (https://audd.io)
+ */
+export const auddProvider = {
+  name: 'audd',
+  usesPreprocessedAudio: true,
+  requestsPerSecond: 2,
+
+  isConfigured() {
+    return !!process.env.AUDD_API_TOKEN;
+  },
+
+  describe() {
+    return 'AudD';
+  },
+
+  async identify(audioFile, { segmentIndex, segmentDuration }) {
+    try {
+      const formData = new FormData();
+      formData.append('api_token', process.env.AUDD_API_TOKEN);
+      formData.append('return', 'spotify');
+      formData.append('file', fs.createReadStream(audioFile), {
+        filename: path.basename(audioFile),
+        contentType: 'audio/mpeg'
+      });
+
+      const response = await axios.post(AUDD_API_URL, formData, {
+        headers: formData.getHeaders(),
+        timeout: 15000,
+        signal: getTaskSignal(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      if (response.data?.status !== 'success') {
+        const { error_code: code, error_message: message } = response.data?.error || {};
+        console.warn(`AudD error for segment ${segmentIndex}:`, { code, message });
+        return { status: 'error', code, message };
+      }
+
+      const track = response.data.result;
+      if (!track) {
+        return { status: 'no_match' };
+      }
+
+      return {
+        status: 'matched',
+        matches: [{
+          track: {
+            title: track.title || 'Unknown',
+            artist: track.artist || 'Unknown Artist',
+            album: track.album || null,
+            genre: null,
+            label: track.label || null,
+            releaseDate: track.release_date || null,
+            duration: track.spotify?.duration_ms ? Math.round(track.spotify.duration_ms / 1000) : null,
+            // AudD does not return a score - a result is only returned when it is confident
+            confidence: 100,
+            acrcloudId: null,
+            externalIds: {
+              spotify: track.spotify?.id || null,
+              isrc: track.spotify?.external_ids?.isrc || null
+            }
+          },
+          offsets: track.timecode && segmentDuration ? {
+            sampleStart: 0,
+            sampleEnd: segmentDuration,
+            songStart: parseTimecode(track.timecode),
+            songEnd: parseTimecode(track.timecode) + segmentDuration
+          } : null
+        }]
+      };
+    } catch (error) {
+      console.error(`AudD request failed for segment ${segmentIndex}:`, error.message);
+      return { status: 'error', code: error.response?.status ?? error.code, message: error.message };
+    }
+  }
+};
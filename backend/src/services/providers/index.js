@@ -0,0 +1,64 @@
+import { acrcloudProvider } from './acrcloud.js';
+import { auddProvider } from './audd.js';
+import { localIndexProvider } from './localIndex.js';
+import { withProviderLimits } from './limits.js';
+
+/**
+ * Recognition providers
+ *
+ * A provider is a plain object:
+ *   name                    - unique id used in RECOGNITION_PROVIDERS and in results
+ *   usesPreprocessedAudio   - send preprocessed versions of the segment (PREPROCESS_STRATEGIES,
+ *                             retried with the next strategy on 'no_match')
+ *   requestsPerSecond       - (optional) marks a metered API: calls are rate limited, retried on
+ *                             transient errors and charged against the daily/monthly quota
+ *   isConfigured()          - (async) whether credentials / data are available
+ *   describe()              - (async) human readable label for logs
+ *   identify(file, context) - context is { segmentIndex, segmentDuration, originalFile }
+ *                             resolves to one of
+ *                               { status: 'matched', matches: [{ track, offsets? }] } (best first)
+ *                               { status: 'no_match', code? }
+ *                               { status: 'error', code?, message? }
+ *                               { status: 'quota_exhausted', message } (added by the limits wrapper, or a provider's own account limit)
+ *
+ * offsets (seconds) say which part of the sample matched and which part of the song it is:
+ *   { sampleStart, sampleEnd, songStart, songEnd }
+ */
+const providers = new Map();
+
+export function registerProvider(provider) {
+  providers.set(provider.name, withProviderLimits(provider));
+}
+
+registerProvider(localIndexProvider);
+registerProvider(acrcloudProvider);
+registerProvider(auddProvider);
+
+/**
+ * Ordered provider chain from RECOGNITION_PROVIDERS (e.g. "local,acrcloud,audd")
+ */
+export function getProviderChain() {
+  const names = (process.env.RECOGNITION_PROVIDERS || 'local,acrcloud')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) {
+        console.warn(`⚠️  Unknown recognition provider "${name}" in RECOGNITION_PROVIDERS - ignoring`);
+      }
+      return provider;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Providers from the chain that are ready to use, in chain order
+ */
+export async function getActiveProviders() {
+  const chain = getProviderChain();
+  const configured = await Promise.all(chain.map(provider => provider.isConfigured()));
+  return chain.filter((_, index) => configured[index]);
+}
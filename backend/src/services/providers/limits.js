@@ -0,0 +1,69 @@
+import { createTokenBucket } from '../../utils/rateLimiter.js';
+import { retryWithBackoff } from '../../utils/retry.js';
+import { consumeQuota } from '../quotaBudget.js';
+import { getTaskSignal } from '../../utils/taskContext.js';
+
+const MAX_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES ?? '3', 10);
+const RETRY_BASE_DELAY = parseInt(process.env.PROVIDER_RETRY_BASE_DELAY) || 500; // ms
+const RETRY_MAX_DELAY = parseInt(process.env.PROVIDER_RETRY_MAX_DELAY) || 8000; // ms
+
+// Worth retrying: ACRCloud 3000 (server error) / 3015 (QPS limit), HTTP 429 / 5xx and network failures.
+// ACRCloud 3003 (limit exceeded) is the account's plan limit - providers report it as quota_exhausted.
+const TRANSIENT_CODES = new Set([3000, 3015, 429, 500, 502, 503, 504, 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+const buckets = new Map(); // provider name -> token bucket
+
+function isTransient(outcome) {
+  return outcome?.status === 'error' && TRANSIENT_CODES.has(outcome.code);
+}
+
+/**
+ * Per-provider token bucket, e.g. ACRCLOUD_REQUESTS_PER_SECOND / ACRCLOUD_BURST
+ */
+function getBucket(provider) {
+  if (!buckets.has(provider.name)) {
+    const prefix = provider.name.toUpperCase();
+    const ratePerSecond = parseFloat(process.env[`${prefix}_REQUESTS_PER_SECOND`]) || provider.requestsPerSecond;
+    const burst = parseInt(process.env[`${prefix}_BURST`]) || Math.max(1, Math.ceil(ratePerSecond));
+    buckets.set(provider.name, createTokenBucket({ ratePerSecond, burst }));
+  }
+  return buckets.get(provider.name);
+}
+
+/**
+ * Wrap a metered provider (one with `requestsPerSecond`) so every identify() call
+ * - is charged once against the daily/monthly budget ({ status: 'quota_exhausted' } once it is spent),
+ * - takes a token from the provider's rate limiter for every attempt,
+ * - is retried with exponential backoff + jitter on transient errors.
+ * Unmetered providers (the local index) are returned unchanged.
+ */
+export function withProviderLimits(provider) {
+  if (!provider.requestsPerSecond) return provider;
+
+  return {
+    ...provider,
+    async identify(audioFile, context) {
+      // One identification counts once, however many attempts the retries below take
+      if (!(await consumeQuota(provider.name))) {
+        return { status: 'quota_exhausted', message: `${provider.name} request budget exhausted` };
+      }
+
+      return retryWithBackoff(async () => {
+        await getBucket(provider).take();
+        // The job may have been cancelled while waiting for a token
+        if (getTaskSignal()?.aborted) {
+          return { status: 'error', code: 'ERR_CANCELED', message: 'Job cancelled' };
+        }
+        return provider.identify(audioFile, context);
+      }, {
+        retries: MAX_RETRIES,
+        baseDelay: RETRY_BASE_DELAY,
+        maxDelay: RETRY_MAX_DELAY,
+        shouldRetry: isTransient,
+        onRetry: (outcome, attempt, delay) => {
+          console.warn(`↻ ${provider.name} ${outcome.code} for segment ${context.segmentIndex} - retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+        }
+      });
+    }
+  };
+}
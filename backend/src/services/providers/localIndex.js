@@ -0,0 +1,62 @@
+import { fingerprintFile } from '../fingerprinter.js';
+import { matchFingerprint, getIndexSize } from '../fingerprintIndex.js';
+
+/**
+ * Local fingerprint index provider - matches against our own reference catalog
+ */
+export const localIndexProvider = {
+  name: 'local',
+  usesPreprocessedAudio: false,
+
+  async isConfigured() {
+    return (await getIndexSize()) > 0;
+  },
+
+  async describe() {
+    return `local fingerprint index (${await getIndexSize()} reference tracks)`;
+  },
+
+  async identify(audioFile, { segmentIndex }) {
+    try {
+      const { hashes, duration } = await fingerprintFile(audioFile);
+      const candidates = await matchFingerprint(hashes);
+
+      if (candidates.length === 0) {
+        return { status: 'no_match' };
+      }
+
+      const [best] = candidates;
+      console.log(`✅ Local index match in segment ${segmentIndex}: ${best.track.title} by ${best.track.artist} (${best.alignedHashes} aligned hashes)`);
+      return {
+        status: 'matched',
+        matches: candidates.map(match => ({
+          track: {
+            title: match.track.title,
+            artist: match.track.artist,
+            album: match.track.album || null,
+            genre: null,
+            releaseDate: null,
+            duration: match.track.duration || null,
+            confidence: match.confidence,
+            acrcloudId: null,
+            localTrackId: match.track.id,
+            source: 'local',
+            externalIds: {
+              spotify: null,
+              isrc: match.track.isrc || null
+            }
+          },
+          offsets: {
+            sampleStart: match.queryStart,
+            sampleEnd: Math.min(duration, match.queryEnd),
+            songStart: Math.max(0, match.trackOffset + match.queryStart),
+            songEnd: Math.max(0, match.trackOffset + Math.min(duration, match.queryEnd))
+          }
+        }))
+      };
+    } catch (error) {
+      console.error(`Local fingerprint match failed for segment ${segmentIndex}:`, error.message);
+      return { status: 'error', message: error.message };
+    }
+  }
+};
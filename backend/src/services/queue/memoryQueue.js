@@ -0,0 +1,40 @@
+/**
+ * In-process queue backend (default) - the backlog is lost on restart,
+ * queued jobs are then recovered by the job store.
+ */
+export function createMemoryQueue() {
+  const entries = []; // [{ taskId, priority }] sorted by priority, FIFO within a priority
+
+  return {
+    name: 'memory',
+
+    async push(taskId, priority) {
+      if (entries.some(entry => entry.taskId === taskId)) return false;
+
+      // Insert after every entry of the same or a higher priority
+      const index = entries.findIndex(entry => entry.priority > priority);
+      entries.splice(index === -1 ? entries.length : index, 0, { taskId, priority });
+      return true;
+    },
+
+    async pop() {
+      return entries.shift()?.taskId || null;
+    },
+
+    async remove(taskId) {
+      const index = entries.findIndex(entry => entry.taskId === taskId);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      return true;
+    },
+
+    async position(taskId) {
+      const index = entries.findIndex(entry => entry.taskId === taskId);
+      return index === -1 ? null : index + 1;
+    },
+
+    async size() {
+      return entries.length;
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import Redis from 'ioredis';
+
+// Scores are priority * PRIORITY_SPAN + enqueue time, so a sorted set pops by priority, then FIFO
+const PRIORITY_SPAN = 1e13;
+
+/**
+ * Redis queue backend - the backlog survives restarts and redeploys
+ * One sorted set (QUEUE_REDIS_KEY), popped atomically with ZPOPMIN.
+ */
+export function createRedisQueue(url, key = 'audio-extractor:queue') {
+  const redis = new Redis(url, { maxRetriesPerRequest: 3 });
+  redis.on('error', err => console.warn('Redis queue error:', err.message || err));
+
+  return {
+    name: 'redis',
+
+    async push(taskId, priority) {
+      // NX: re-adding a job that is already waiting keeps its place
+      const added = await redis.zadd(key, 'NX', priority * PRIORITY_SPAN + Date.now(), taskId);
+      return added === 1;
+    },
+
+    async pop() {
+      const [taskId] = await redis.zpopmin(key);
+      return taskId || null;
+    },
+
+    async remove(taskId) {
+      return (await redis.zrem(key, taskId)) === 1;
+    },
+
+    async position(taskId) {
+      const rank = await redis.zrank(key, taskId);
+      return rank === null ? null : rank + 1;
+    },
+
+    async size() {
+      return redis.zcard(key);
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Request counters survive restarts: { [provider]: { day, dayCount, month, monthCount } }
+const QUOTA_FILE = process.env.QUOTA_STATE_FILE || path.join(__dirname, '../../data/quota.json');
+
+let usage = null;
+let loadPromise = null;
+let saveQueue = Promise.resolve();
+
+/**
+ * Configured limits for a provider, e.g. ACRCLOUD_DAILY_QUOTA / ACRCLOUD_MONTHLY_QUOTA
+ * (0 or unset = unlimited)
+ */
+export function getQuotaLimits(providerName) {
+  const prefix = providerName.toUpperCase();
+  return {
+    daily: parseInt(process.env[`${prefix}_DAILY_QUOTA`]) || 0,
+    monthly: parseInt(process.env[`${prefix}_MONTHLY_QUOTA`]) || 0
+  };
+}
+
+function currentPeriods() {
+  const now = new Date().toISOString(); // UTC, same as provider billing
+  return { day: now.slice(0, 10), month: now.slice(0, 7) };
+}
+
+function loadUsage() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        usage = (await fs.pathExists(QUOTA_FILE)) ? await fs.readJson(QUOTA_FILE) : {};
+      } catch (err) {
+        console.warn('Failed to load quota usage, starting from zero:', err.message || err);
+        usage = {};
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+function saveUsage() {
+  // Serialize writes so a slow write never overwrites a newer one
+  const snapshot = JSON.stringify(usage, null, 2);
+  saveQueue = saveQueue
+    .then(async () => {
+      await fs.ensureDir(path.dirname(QUOTA_FILE));
+      await fs.writeFile(QUOTA_FILE, snapshot, 'utf8');
+    })
+    .catch(err => console.warn('Failed to save quota usage:', err.message || err));
+  return saveQueue;
+}
+
+/**
+ * Counters for the current day/month (rolled over when the period changed)
+ */
+function getProviderUsage(providerName) {
+  const { day, month } = currentPeriods();
+  const entry = usage[providerName] || { day, dayCount: 0, month, monthCount: 0 };
+
+  if (entry.day !== day) {
+    entry.day = day;
+    entry.dayCount = 0;
+  }
+  if (entry.month !== month) {
+    entry.month = month;
+    entry.monthCount = 0;
+  }
+
+  usage[providerName] = entry;
+  return entry;
+}
+
+/**
+ * Reserve one request from the provider's budget
+ * Returns false (and reserves nothing) when the daily or monthly budget is used up.
+ */
+export async function consumeQuota(providerName) {
+  await loadUsage();
+  const limits = getQuotaLimits(providerName);
+  const entry = getProviderUsage(providerName);
+
+  if ((limits.daily && entry.dayCount >= limits.daily) || (limits.monthly && entry.monthCount >= limits.monthly)) {
+    return false;
+  }
+
+  entry.dayCount++;
+  entry.monthCount++;
+  saveUsage();
+  return true;
+}
+
+/**
+ * Usage vs limits for every provider that has been used or has a limit
+ */
+export async function getQuotaStatus(providerNames = []) {
+  await loadUsage();
+  const names = new Set([...Object.keys(usage), ...providerNames]);
+
+  return [...names].map(name => {
+    const limits = getQuotaLimits(name);
+    const entry = getProviderUsage(name);
+    return {
+      provider: name,
+      day: entry.day,
+      dailyUsed: entry.dayCount,
+      dailyLimit: limits.daily || null,
+      month: entry.month,
+      monthlyUsed: entry.monthCount,
+      monthlyLimit: limits.monthly || null,
+      exhausted: !!((limits.daily && entry.dayCount >= limits.daily) || (limits.monthly && entry.monthCount >= limits.monthly))
+    };
+  });
+}
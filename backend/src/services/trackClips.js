@@ -0,0 +1,80 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { cutAudioSegment } from './audioExtractor.js';
+import { getTaskDirectory } from './videoDownloader.js';
+
+// Longest preview kept per track (seconds)
+const CLIP_MAX_DURATION = parseInt(process.env.CLIP_MAX_DURATION) || 30;
+
+// Survives the post-job cleanup of the task directory
+export const CLIPS_DIRECTORY = 'clips';
+
+/**
+ * Preview file of the n-th identified track (1-based)
+ */
+export function getClipFile(taskId, trackNumber) {
+  return path.join(getTaskDirectory(taskId), CLIPS_DIRECTORY, `track-${trackNumber}.mp3`);
+}
+
+/**
+ * Part of the track's matched range that can be cut from one file: the full audio when
+ * it was downloaded, otherwise the segment holding the earliest audio of the range
+ * @returns {{ file, offset, start, end }|null} offset = file time of `start`
+ */
+function findClipSource(range, segmentFiles, audioFile) {
+  if (audioFile) {
+    return { file: audioFile, offset: range.start, start: range.start, end: range.end };
+  }
+  const segment = segmentFiles
+    .filter(candidate => candidate.startTime < range.end && candidate.endTime > range.start)
+    .sort((a, b) => a.startTime - b.startTime)[0];
+  if (!segment) return null;
+
+  const start = Math.max(range.start, segment.startTime);
+  return { file: segment.file, offset: start - segment.startTime, start, end: Math.min(range.end, segment.endTime) };
+}
+
+/**
+ * Save a short preview of every identified track so a match can be checked by ear
+ * The clip covers the track's matched range - the refined boundaries, else the timestamp of
+ * its first occurrence - from its start, at most CLIP_MAX_DURATION seconds. In segment mode
+ * only the analyzed segments exist, so it starts at the first audio of the range that was kept.
+ *
+ * @param {string} taskId
+ * @param {Array} tracks - identifiedTracks
+ * @param {Array} segmentFiles - [{ file, startTime, endTime, segmentIndex }]
+ * @param {string|null} audioFile - full audio, when it was downloaded
+ * @returns {Promise<Array>} { start, end } per track, null where no clip could be saved
+ */
+export async function saveTrackClips(taskId, tracks, segmentFiles, audioFile) {
+  const hasAudioFile = !!audioFile && await fs.pathExists(audioFile);
+  const clips = [];
+
+  for (const [index, track] of tracks.entries()) {
+    try {
+      const range = track.boundaries
+        ? { start: track.boundaries.in, end: track.boundaries.out }
+        : track.timestamp;
+      const source = range && findClipSource(range, segmentFiles, hasAudioFile ? audioFile : null);
+      if (!source || !(await fs.pathExists(source.file))) {
+        clips.push(null);
+        continue;
+      }
+
+      const end = Math.min(source.end, source.start + CLIP_MAX_DURATION);
+      if (end <= source.start) {
+        clips.push(null);
+        continue;
+      }
+      const outFile = getClipFile(taskId, index + 1);
+      await fs.ensureDir(path.dirname(outFile));
+      await cutAudioSegment(source.file, source.offset, source.offset + end - source.start, outFile);
+      clips.push({ start: source.start, end });
+    } catch (error) {
+      console.warn(`[${taskId}] ⚠️  Could not save clip for track ${index + 1}: ${error.message}`);
+      clips.push(null);
+    }
+  }
+
+  return clips;
+}
@@ -0,0 +1,164 @@
+import { getTrackKey } from './musicIdentifier.js';
+
+// Hits of the same song further apart than this (seconds) are separate occurrences
+const MAX_GAP = parseInt(process.env.TIMELINE_MAX_GAP) || 90;
+// Analyzed segments without a match tolerated inside one occurrence (recognizer misses)
+const MAX_MISSES = parseInt(process.env.TIMELINE_MAX_MISSES ?? '1', 10);
+
+function round(seconds) {
+  return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Merge candidate lists of the same track seen in several segments
+ * Keeps each distinct song once with its best score, re-ranked
+ */
+export function mergeCandidates(existing = [], incoming = []) {
+  const byKey = new Map();
+  for (const candidate of [...existing, ...incoming]) {
+    const key = getTrackKey(candidate);
+    const current = byKey.get(key);
+    if (!current || candidate.confidence > current.confidence) {
+      byKey.set(key, candidate);
+    }
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => b.confidence - a.confidence)
+    .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+}
+
+/**
+ * Aggregate confidence of an occurrence
+ * Segments are treated as independent votes (1 - product of their miss chances),
+ * scaled down by the share of segments that disagreed.
+ */
+function aggregateConfidence(hits, conflicts) {
+  const missChance = hits.reduce((product, hit) => product * (1 - Math.min(hit.confidence, 100) / 100), 1);
+  const agreement = hits.length / (hits.length + conflicts.length);
+  return Math.round((1 - missChance) * agreement * 100);
+}
+
+/**
+ * Turn a run of agreeing segment hits into one occurrence
+ */
+function buildOccurrence(run) {
+  const { hits, conflicts } = run;
+  const best = hits.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  const first = hits[0];
+  const last = hits[hits.length - 1];
+  const { candidates, timestamp, songOffset, segmentIndex, ...track } = best;
+
+  return {
+    ...track,
+    timestamp: {
+      start: Math.min(...hits.map(hit => hit.timestamp.start)),
+      end: Math.max(...hits.map(hit => hit.timestamp.end))
+    },
+    songOffset: first.songOffset && last.songOffset
+      ? { start: first.songOffset.start, end: last.songOffset.end }
+      : songOffset,
+    confidence: aggregateConfidence(hits, conflicts),
+    segmentCount: hits.length,
+    segments: hits.map(hit => ({
+      segmentIndex: hit.segmentIndex,
+      start: hit.timestamp.start,
+      end: hit.timestamp.end,
+      confidence: hit.confidence
+    })),
+    conflicts: conflicts.map(hit => ({
+      segmentIndex: hit.segmentIndex,
+      title: hit.title,
+      artist: hit.artist,
+      confidence: hit.confidence,
+      timestamp: hit.timestamp
+    })),
+    candidates: hits.reduce((merged, hit) => mergeCandidates(merged, hit.candidates), [])
+  };
+}
+
+/**
+ * Group per-segment matches into track occurrences
+ * Consecutive segments that agree on a song form one occurrence; a song that comes
+ * back later (after other music, speech or a long gap) gets a new occurrence.
+ * A lone segment naming another song in the middle of an occurrence is kept as a
+ * flagged conflict instead of splitting it.
+ *
+ * @param {Array} matches - per-segment track results (with segmentIndex)
+ * @param {Array} segments - every analyzed segment [{ startTime, endTime, segmentIndex }]
+ * @returns {Array} occurrences in chronological order
+ */
+export function buildTrackTimeline(matches, segments) {
+  const matchBySegment = new Map(matches.map(match => [match.segmentIndex, match]));
+  const ordered = [...segments].sort((a, b) => a.startTime - b.startTime);
+
+  // Pass 1: runs of consecutive segments naming the same song
+  const runs = [];
+  let misses = 0;
+  for (const segment of ordered) {
+    const hit = matchBySegment.get(segment.segmentIndex);
+    if (!hit) {
+      misses++;
+      continue;
+    }
+
+    const key = getTrackKey(hit);
+    const current = runs[runs.length - 1];
+    if (current && current.key === key && misses <= MAX_MISSES && hit.timestamp.start - current.end <= MAX_GAP) {
+      current.hits.push(hit);
+      current.end = Math.max(current.end, hit.timestamp.end);
+    } else {
+      runs.push({ key, hits: [hit], conflicts: [], start: hit.timestamp.start, end: hit.timestamp.end, missesBefore: misses });
+    }
+    misses = 0;
+  }
+
+  // Pass 2: A, B, A with a single-segment B -> one A occurrence with B flagged
+  for (let i = 1; i < runs.length - 1; i++) {
+    const [before, middle, after] = [runs[i - 1], runs[i], runs[i + 1]];
+    if (
+      before.key === after.key &&
+      middle.hits.length === 1 &&
+      middle.missesBefore === 0 &&
+      after.missesBefore === 0 &&
+      after.start - before.end <= MAX_GAP
+    ) {
+      before.hits.push(...after.hits);
+      before.conflicts.push(...middle.hits, ...after.conflicts);
+      before.end = Math.max(before.end, after.end);
+      runs.splice(i, 2);
+      i--;
+    }
+  }
+
+  return runs.map(buildOccurrence).map((occurrence, index) => ({
+    occurrence: index + 1,
+    ...occurrence,
+    timestamp: { start: round(occurrence.timestamp.start), end: round(occurrence.timestamp.end) }
+  }));
+}
+
+/**
+ * One entry per distinct song, listing every time it plays
+ * timestamp is the first occurrence, confidence the best occurrence's.
+ */
+export function summarizeTracks(timeline) {
+  const tracks = new Map();
+
+  for (const occurrence of timeline) {
+    const key = getTrackKey(occurrence);
+    const { occurrence: number, segments, conflicts, segmentCount, ...track } = occurrence;
+    const entry = { start: track.timestamp.start, end: track.timestamp.end, confidence: track.confidence };
+
+    const existing = tracks.get(key);
+    if (!existing) {
+      tracks.set(key, { ...track, occurrences: [entry] });
+    } else {
+      existing.occurrences.push(entry);
+      existing.confidence = Math.max(existing.confidence, track.confidence);
+      existing.candidates = mergeCandidates(existing.candidates, track.candidates);
+    }
+  }
+
+  return [...tracks.values()];
+}
@@ -11,6 +11,9 @@ import ffmpeg from 'fluent-ffmpeg';
 import os from 'os';
 import http from 'http';
 import https from 'https';
+import { tileWindows } from '../utils/coverage.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { trackProcess, getTaskSignal } from '../utils/taskContext.js';
 
 // Add local bin to PATH for aria2c
 const __filename_init = fileURLToPath(import.meta.url);
@@ -37,7 +40,8 @@ const execAsync = (command, options = {}) => {
 };
 
 // Better execAsync using spawn for large outputs
-const execAsyncSpawn = (command, args = [], options = {}) => {
+// options.group: own process group, for downloads whose children (yt-dlp's ffmpeg) a cancel must kill too
+const execAsyncSpawn = (command, args = [], { group = false, ...options } = {}) => {
   return new Promise((resolve, reject) => {
     const parts = command.split(' ');
     const cmd = parts[0];
@@ -46,10 +50,11 @@ const execAsyncSpawn = (command, args = [], options = {}) => {
     let stdout = '';
     let stderr = '';
     
-    const process = spawn(cmd, cmdArgs, {
+    const process = trackProcess(spawn(cmd, cmdArgs, {
       ...options,
+      detached: group,
       stdio: ['ignore', 'pipe', 'pipe']
-    });
+    }), { group });
     
     process.stdout.on('data', (data) => {
       stdout += data.toString();
@@ -115,9 +120,11 @@ const execAsyncSpawnWithProgress = (command, args = [], progressCallback = null)
     let stdout = '';
     let stderr = '';
     
-    const process = spawn(cmd, cmdArgs, {
+    // Own process group so cancelling the job also kills yt-dlp's ffmpeg children
+    const process = trackProcess(spawn(cmd, cmdArgs, {
+      detached: true,
       stdio: ['ignore', 'pipe', 'pipe']
-    });
+    }), { group: true });
     
     process.stdout.on('data', (data) => {
       const output = data.toString();
@@ -166,8 +173,14 @@ const MAX_DURATION = parseInt(process.env.MAX_VIDEO_DURATION) || 3600; // 1 hour
 // Unified via env var so other modules can read the same value
 const SEGMENT_DURATION = parseInt(process.env.SEGMENT_DURATION) || 15; // 15s per segment (better for ACRCloud)
 const NUM_SEGMENTS = parseInt(process.env.NUM_SEGMENTS) || 6; // Number of segments to attempt
+// Cap on parallel yt-dlp/ffmpeg segment downloads (full coverage can mean hundreds of windows)
+const MAX_CONCURRENT_SEGMENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_SEGMENT_DOWNLOADS) || 10;
 // Use __dirname to reliably locate cookies.txt in the backend root, regardless of CWD
 const COOKIES_FILE = path.resolve(__dirname, '../../cookies.txt');
+// Playlist/channel expansion: entries taken when the request sets no limit, and how many
+// entries are scanned when filtering by date (channels list newest first)
+const PLAYLIST_MAX_ITEMS = parseInt(process.env.PLAYLIST_MAX_ITEMS) || 50;
+const PLAYLIST_SCAN_LIMIT = parseInt(process.env.PLAYLIST_SCAN_LIMIT) || 500;
 
 /**
  * Initialize cookies from ENV if available
@@ -251,8 +264,15 @@ function cacheVideoInfo(url, data) {
 /**
  * Calculate smart segment positions based on video duration
  * Returns array of {start, end} timestamps in seconds
+ *
+ * @param {Object} options - { coverage: 'sampled' | 'full', windowDuration, windowOverlap }
  */
-function calculateSegmentPositions(duration) {
+function calculateSegmentPositions(duration, options = {}) {
+  if (options.coverage === 'full') {
+    // Full coverage: tile the entire video with contiguous/overlapping windows
+    return tileWindows(duration, options.windowDuration || SEGMENT_DURATION, options.windowOverlap || 0);
+  }
+
   const segments = [];
   
   if (duration <= SEGMENT_DURATION) {
@@ -349,6 +369,171 @@ function detectPlatform(url) {
   }
 }
 
+/**
+ * Does the URL point at a playlist or channel rather than a single video?
+ * (watch?v=...&list=... is a video - it's processed on its own, like before)
+ */
+export function isPlaylistUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.replace(/^(www\.|m\.|music\.)/, '');
+  const pathname = parsed.pathname;
+
+  if (host === 'youtube.com') {
+    if (pathname === '/playlist') return parsed.searchParams.has('list');
+    return /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/(videos|streams|shorts|playlists|featured))?\/?$/.test(pathname);
+  }
+  if (host === 'vimeo.com') {
+    return /^\/(channels|showcase|album|groups)\//.test(pathname);
+  }
+  if (host === 'soundcloud.com') {
+    return /^\/[^/]+\/sets\/[^/]+/.test(pathname);
+  }
+  return false;
+}
+
+function getEntryDate(entry) {
+  if (entry.upload_date) return entry.upload_date;
+  const timestamp = entry.timestamp || entry.release_timestamp;
+  if (!timestamp) return null;
+  return new Date(timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function getEntryUrl(entry) {
+  const url = entry.webpage_url || entry.url;
+  if (url && /^https?:\/\//i.test(url)) return url;
+  if (entry.id && entry.ie_key === 'Youtube') {
+    return `https://www.youtube.com/watch?v=${entry.id}`;
+  }
+  return null;
+}
+
+/**
+ * List the videos of a playlist or channel with yt-dlp's flat-playlist JSON (no per-video requests)
+ *
+ * @param {string} url - Playlist or channel URL
+ * @param {Object} options - { maxItems, dateAfter, dateBefore } (dates as YYYYMMDD, inclusive)
+ * @returns {Object} { title, uploader, webpageUrl, entries: [{ url, title, uploadDate, duration }], scanned, filteredOut }
+ */
+export async function expandPlaylist(url, options = {}) {
+  const maxItems = options.maxItems || PLAYLIST_MAX_ITEMS;
+  const { dateAfter, dateBefore } = options;
+  const dateFilter = !!(dateAfter || dateBefore);
+
+  // A bare YouTube channel URL lists its tabs (Videos, Shorts, ...) - go straight to the videos
+  let listUrl = url;
+  const parsed = new URL(url);
+  if (/(^|\.)youtube\.com$/.test(parsed.hostname) && /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/?$/.test(parsed.pathname)) {
+    listUrl = `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}/videos`;
+  }
+
+  let ytDlpCommand = 'yt-dlp';
+  let ytDlpArgs = [];
+  const checkCommand = process.platform === 'win32' ? 'where' : 'which';
+  try {
+    await execAsyncSpawn(checkCommand, ['yt-dlp']);
+  } catch {
+    try {
+      await execAsyncSpawn('python3', ['-m', 'yt_dlp', '--version']);
+      ytDlpCommand = 'python3';
+      ytDlpArgs = ['-m', 'yt_dlp'];
+    } catch {
+      throw new Error('yt-dlp is not installed');
+    }
+  }
+
+  const cookieArgs = await getCookieArgs();
+
+  let info;
+  try {
+    const result = await execAsyncSpawn(ytDlpCommand, [
+      ...ytDlpArgs,
+      ...cookieArgs,
+      '--quiet',
+      '--no-warnings',
+      '--flat-playlist',
+      '--dump-single-json',
+      '--playlist-end', String(dateFilter ? Math.max(PLAYLIST_SCAN_LIMIT, maxItems) : maxItems),
+      // Flat YouTube entries have no upload date unless it's estimated from "3 weeks ago"
+      ...(dateFilter ? ['--extractor-args', 'youtubetab:approximate_date'] : []),
+      listUrl
+    ]);
+    info = JSON.parse(result.stdout);
+  } catch (error) {
+    throw new Error(`Failed to list playlist: ${error.message}`);
+  }
+
+  const all = (info.entries || [])
+    .filter(entry => entry && entry._type !== 'playlist')
+    .map(entry => ({
+      url: getEntryUrl(entry),
+      title: entry.title || null,
+      uploadDate: getEntryDate(entry),
+      duration: entry.duration || null
+    }))
+    .filter(entry => entry.url);
+
+  // Entries without a date can't be placed in the range, so a date filter drops them
+  const matching = all.filter(entry => {
+    if (!dateFilter) return true;
+    if (!entry.uploadDate) return false;
+    return (!dateAfter || entry.uploadDate >= dateAfter) && (!dateBefore || entry.uploadDate <= dateBefore);
+  });
+
+  return {
+    title: info.title || null,
+    uploader: info.uploader || info.channel || null,
+    webpageUrl: info.webpage_url || url,
+    entries: matching.slice(0, maxItems),
+    scanned: all.length,
+    filteredOut: all.length - matching.length
+  };
+}
+
+/**
+ * Resolve a live page (YouTube/Twitch live, ...) to a media URL ffmpeg can read, e.g. an HLS playlist
+ * The URL is short-lived on most platforms - resolve again when reconnecting.
+ */
+export async function getStreamUrl(url) {
+  let ytDlpCommand = 'yt-dlp';
+  let ytDlpArgs = [];
+  const checkCommand = process.platform === 'win32' ? 'where' : 'which';
+  try {
+    await execAsyncSpawn(checkCommand, ['yt-dlp']);
+  } catch {
+    try {
+      await execAsyncSpawn('python3', ['-m', 'yt_dlp', '--version']);
+      ytDlpCommand = 'python3';
+      ytDlpArgs = ['-m', 'yt_dlp'];
+    } catch {
+      throw new Error('yt-dlp is not installed');
+    }
+  }
+
+  const cookieArgs = await getCookieArgs();
+  try {
+    const result = await execAsyncSpawn(ytDlpCommand, [
+      ...ytDlpArgs,
+      ...cookieArgs,
+      '--quiet',
+      '--no-warnings',
+      '--no-playlist',
+      '-f', 'bestaudio/best',
+      '-g',
+      url
+    ]);
+    const streamUrl = result.stdout.split('\n').map(line => line.trim()).find(Boolean);
+    if (!streamUrl) throw new Error('no stream URL returned');
+    return streamUrl;
+  } catch (error) {
+    throw new Error(`Failed to resolve stream: ${error.message}`);
+  }
+}
+
 /**
  * Get video info quickly without downloading (using yt-dlp)
  * FAST - only fetches metadata, no download!
@@ -495,7 +680,7 @@ async function getVideoInfo(url) {
  * @param {string} title - Video title for filename
  * @param {string} downloadDir - Directory to save the segment (default: global DOWNLOAD_DIR)
  */
-async function downloadAudioSegment(url, startTime, endTime, segmentIndex, title, downloadDir = DOWNLOAD_DIR) {
+export async function downloadAudioSegment(url, startTime, endTime, segmentIndex, title, downloadDir = DOWNLOAD_DIR) {
   try {
     // Check if yt-dlp is available
     let ytDlpCommand = 'yt-dlp';
@@ -535,7 +720,7 @@ async function downloadAudioSegment(url, startTime, endTime, segmentIndex, title
     if (isDirectVideoFile(url)) {
       console.log('Using ffmpeg direct extraction for direct video URL');
       await new Promise((resolve, reject) => {
-        ffmpeg(url)
+        trackProcess(ffmpeg(url))
           .inputOptions([`-ss ${startTime}`])
           .setDuration(endTime - startTime)
           .noVideo()
@@ -581,7 +766,7 @@ async function downloadAudioSegment(url, startTime, endTime, segmentIndex, title
       url
     ];
 
-    await execAsyncSpawn(ytDlpCommand, downloadArgs);
+    await execAsyncSpawn(ytDlpCommand, downloadArgs, { group: true });
 
     // Verify file exists
     if (!(await fs.pathExists(outputPath))) {
@@ -602,18 +787,18 @@ async function downloadAudioSegment(url, startTime, endTime, segmentIndex, title
  * Downloads 4 segments (10 sec each) = 40 sec total instead of 10 min video!
  * 10-20x FASTER! ⚡⚡⚡
  */
-async function downloadAudioSegments(url, videoInfo, progressCallback, downloadDir = DOWNLOAD_DIR) {
+async function downloadAudioSegments(url, videoInfo, progressCallback, downloadDir = DOWNLOAD_DIR, options = {}) {
   const { duration, title } = videoInfo;
   
   // Calculate smart segment positions
-  const segmentPositions = calculateSegmentPositions(duration);
-  console.log(`📊 Video duration: ${duration}s, downloading ${segmentPositions.length} segments`);
+  const segmentPositions = calculateSegmentPositions(duration, options);
+  console.log(`📊 Video duration: ${duration}s, downloading ${segmentPositions.length} segments (${options.coverage || 'sampled'} coverage)`);
   
   const totalSegments = segmentPositions.length;
   let completed = 0;
 
-  // Download ALL segments in PARALLEL - MAXIMUM SPEED!
-  const downloadPromises = segmentPositions.map((segment, index) => {
+  // Download segments in PARALLEL (bounded so full coverage doesn't spawn hundreds of processes)
+  const results = await mapWithConcurrency(segmentPositions, MAX_CONCURRENT_SEGMENT_DOWNLOADS, (segment, index) => {
     return downloadAudioSegment(url, segment.start, segment.end, index, title, downloadDir)
       .then(filePath => {
         completed++;
@@ -633,9 +818,6 @@ async function downloadAudioSegments(url, videoInfo, progressCallback, downloadD
         return null;
       });
   });
-
-  // Wait for ALL segments to download in parallel
-  const results = await Promise.all(downloadPromises);
   
   // Filter out failed segments
   const successfulSegments = results.filter(Boolean);
@@ -663,7 +845,7 @@ async function downloadDirectFile(url, downloadDir = DOWNLOAD_DIR) {
     try {
       console.log('Attempting ffmpeg remote extraction for direct video URL');
       await new Promise((resolve, reject) => {
-        ffmpeg(url)
+        trackProcess(ffmpeg(url))
           .noVideo()
           .audioCodec('libmp3lame')
           .audioBitrate('96k')
@@ -737,6 +919,7 @@ async function downloadDirectFile(url, downloadDir = DOWNLOAD_DIR) {
         url: url,
         responseType: 'stream',
         timeout: 300000,
+        signal: getTaskSignal(),
         maxContentLength: Infinity,
         maxBodyLength: Infinity,
         maxRedirects: 5,
@@ -918,7 +1101,7 @@ async function downloadWithYtDlp(url, progressCallback = null, downloadDir = DOW
     if (progressCallback) {
       await execAsyncSpawnWithProgress(ytDlpCommand, [...ytDlpArgs, ...cookieArgs, ...downloadArgs], progressCallback);
     } else {
-      await execAsyncSpawn(ytDlpCommand, [...ytDlpArgs, ...cookieArgs, ...downloadArgs]);
+      await execAsyncSpawn(ytDlpCommand, [...ytDlpArgs, ...cookieArgs, ...downloadArgs], { group: true });
     }
 
     // Find the downloaded audio file (now it's already MP3!)
@@ -1017,7 +1200,7 @@ async function downloadYouTube(url, downloadDir = DOWNLOAD_DIR) {
       // Convert to MP3 using ffmpeg with MAXIMUM CPU cores
       const cpuCount = os.cpus().length;
       const encodeThreads = Math.max(cpuCount * 2, 16); // Use 2x CPU cores
-      const ffmpegProcess = ffmpeg(audioStream)
+      const ffmpegProcess = trackProcess(ffmpeg(audioStream))
         .outputOptions([
           `-threads ${encodeThreads}`, // Use 2x CPU cores for maximum speed!
           `-preset ultrafast`, // FASTEST encoding
@@ -1075,7 +1258,7 @@ export async function downloadVideoSegments(url, progressCallback = null, option
         const overall = 20 + Math.round(segProgress * 0.8);
         progressCallback(overall);
       }
-    }, downloadDir);
+    }, downloadDir, options);
     
     if (progressCallback) progressCallback(100);
     
@@ -1120,7 +1303,7 @@ export async function downloadFullAudio(url, progressCallback = null, options =
  * 
  * @param {string} url - Video URL
  * @param {Function} progressCallback - Optional callback for download progress (0-100)
- * @param {Object} options - { mode: 'segments' | 'full' } (default: 'segments')
+ * @param {Object} options - { mode: 'segments' | 'full' (default: 'segments'), taskId, coverage, windowDuration, windowOverlap }
  */
 export async function downloadVideo(url, progressCallback = null, options = {}) {
   const mode = options.mode || 'segments'; // Default to FAST mode!
@@ -1128,7 +1311,7 @@ export async function downloadVideo(url, progressCallback = null, options = {})
   // Setup task-specific directory if taskId provided
   let downloadDir = DOWNLOAD_DIR;
   if (options.taskId) {
-    downloadDir = path.join(DOWNLOAD_DIR, options.taskId);
+    downloadDir = getTaskDirectory(options.taskId);
     await fs.ensureDir(downloadDir);
     console.log(`📂 Using isolated download directory: ${downloadDir}`);
   }
@@ -1145,14 +1328,27 @@ export async function downloadVideo(url, progressCallback = null, options = {})
   }
 }
 
+/**
+ * Task-specific download directory
+ */
+export function getTaskDirectory(taskId) {
+  return path.join(DOWNLOAD_DIR, taskId);
+}
+
 /**
  * Delete task-specific download directory
+ * @param {Object} options - { keep: entry names to leave in place (e.g. saved clips) }
  */
-export async function deleteTaskDirectory(taskId) {
+export async function deleteTaskDirectory(taskId, { keep = [] } = {}) {
   if (!taskId) return;
-  const taskDir = path.join(DOWNLOAD_DIR, taskId);
+  const taskDir = getTaskDirectory(taskId);
   try {
-    if (await fs.pathExists(taskDir)) {
+    if (!(await fs.pathExists(taskDir))) return;
+    if (keep.length > 0) {
+      const entries = (await fs.readdir(taskDir)).filter(entry => !keep.includes(entry));
+      await Promise.all(entries.map(entry => fs.remove(path.join(taskDir, entry))));
+      console.log(`🧹 Cleaned up task directory: ${taskDir} (kept ${keep.join(', ')})`);
+    } else {
       await fs.remove(taskDir);
       console.log(`🧹 Cleaned up task directory: ${taskDir}`);
     }
@@ -1,95 +1,219 @@
+import path from 'path';
+import fs from 'fs-extra';
 import { downloadVideo } from './videoDownloader.js';
 import { extractAudio } from './audioExtractor.js';
 import { splitAudioSegments } from './audioExtractor.js';
 import { extractMetadata } from './metadataExtractor.js';
-import { identifyMusicTracks } from './musicIdentifier.js';
+import { identifyMusicTracks, getTrackKey } from './musicIdentifier.js';
 import { cleanupFiles } from '../utils/fileCleanup.js';
-import { deleteTaskDirectory } from './videoDownloader.js';
+import { deleteTaskDirectory, getTaskDirectory } from './videoDownloader.js';
+import { refineTrackBoundaries } from './boundaryRefiner.js';
+import { computeCoverage } from '../utils/coverage.js';
+import { classifySegments, containsMusic, buildAudioTimeline } from './audioClassifier.js';
+import { buildTrackTimeline, summarizeTracks } from './trackTimeline.js';
+import { saveTrackClips, CLIPS_DIRECTORY } from './trackClips.js';
+import { getJob, updateJob } from './jobStore.js';
+import { publishJobEvent } from './jobEvents.js';
+import { getTaskSignal } from '../utils/taskContext.js';
+
+const REFINE_BOUNDARIES = process.env.REFINE_BOUNDARIES === 'true';
+// Skip speech/silence segments before identification (opt-in, like REFINE_BOUNDARIES)
+const CLASSIFY_AUDIO = process.env.CLASSIFY_AUDIO === 'true';
+// Platforms where sped up / slowed edits are common - speed variants are tried by default
+const SPEED_VARIANT_PLATFORMS = (process.env.SPEED_VARIANT_PLATFORMS || 'tiktok,instagram').split(',').map(p => p.trim());
 
 /**
  * Main video processing pipeline - NEW OPTIMIZED VERSION! ⚡
  * Downloads ONLY segments (40 sec) instead of full video (10 min)
  * 10-20x FASTER for music identification!
+ *
+ * Uploaded files (job.upload, POST /api/upload) skip the download and go through the
+ * full-audio path directly.
+ *
+ * @param {Object} options - { refineBoundaries, classifyAudio, speedVariants, coverage: 'sampled' | 'full', windowDuration, windowOverlap }
  */
-export async function processVideo(taskId, videoUrl, jobs) {
-  const job = jobs.get(taskId);
+export async function processVideo(taskId, videoUrl, options = {}) {
+  const job = getJob(taskId);
   if (!job) return;
+  const setProgress = (progress) => {
+    updateJob(taskId, { progress });
+    console.log(`[${taskId}] Progress: ${progress}%`);
+  };
+  const setStage = (stage) => updateJob(taskId, { stage });
 
   const startTime = Date.now();
   let videoFile = null;
   let audioFile = null;
   let segmentFiles = [];
+  let skippedSegments = 0;
+  // Providers that ran out of daily/monthly budget during this job
+  const quotaExhausted = new Set();
+  // Aborted by DELETE /api/jobs/:taskId (cancelJob)
+  const signal = getTaskSignal();
 
   try {
     // Update progress
-    job.progress = 0;
-    job.status = 'processing';
-    console.log(`[${taskId}] Progress: ${job.progress}%`);
+    updateJob(taskId, { status: 'processing', stage: job.upload ? 'extracting' : 'downloading', progress: 0, startedAt: new Date().toISOString() });
+    console.log(`[${taskId}] Progress: 0%`);
 
     // ⚡ STEP 1: FAST segment-based download (NEW!)
     // Downloads ONLY 40 seconds of audio from strategic positions
     // Instead of downloading 10 min video = 15x FASTER!
     console.log(`[${taskId}] ✅✅✅ CODE UPDATED v3 - FAST MODE IMPROVED ✅✅✅`); 
     console.log(`[${taskId}] 🚀 FAST MODE: Downloading smart segments...`);
-    job.downloadProgress = 0;
+    updateJob(taskId, { downloadProgress: 0 });
     
     // Real-time download progress callback
     const downloadProgressCallback = (progress) => {
       if (progress !== undefined && !isNaN(progress) && progress >= 0) {
-        job.downloadProgress = progress;
-        job.progress = Math.round(progress * 0.5); // Download is 50% of total progress
+        updateJob(taskId, {
+          downloadProgress: progress,
+          progress: Math.round(progress * 0.5) // Download is 50% of total progress
+        });
         console.log(`[${taskId}] 📥 Download progress: ${Math.round(progress)}%`);
       }
     };
     
+    // Sampled (default) = a few strategic windows; full = tile the whole duration
+    const coverageOptions = {
+      coverage: options.coverage || 'sampled',
+      windowDuration: options.windowDuration,
+      windowOverlap: options.windowOverlap
+    };
+
+    // Classify segments first so talk-only / silent segments don't cost recognizer calls
+    const classifyAudio = options.classifyAudio ?? CLASSIFY_AUDIO;
+    const onIdentifyProgress = (progress) => updateJob(taskId, { progress });
+    // Live per-segment outcomes and first sightings of each song (SSE)
+    const seenTracks = new Set();
+    const segmentEvent = (segment, outcome, extra = {}) => publishJobEvent(taskId, 'segment', {
+      segmentIndex: segment.segmentIndex,
+      start: segment.startTime,
+      end: segment.endTime,
+      outcome,
+      ...extra
+    });
+    const onSegment = (segment, match) => {
+      if (!match) {
+        segmentEvent(segment, 'no_match');
+        return;
+      }
+      segmentEvent(segment, 'matched', { title: match.title, artist: match.artist, confidence: match.confidence });
+
+      const key = getTrackKey(match);
+      if (!seenTracks.has(key)) {
+        seenTracks.add(key);
+        const { candidates, ...track } = match;
+        publishJobEvent(taskId, 'track', track);
+      }
+    };
+    const identifySegments = async () => {
+      const identifyOptions = {
+        speedVariants: options.speedVariants ?? SPEED_VARIANT_PLATFORMS.includes(videoInfo.platform),
+        quotaExhausted,
+        onSegment
+      };
+      if (identifyOptions.speedVariants) {
+        console.log(`[${taskId}] ⏩ Speed variants enabled for unmatched segments`);
+      }
+
+      if (!classifyAudio) {
+        setStage('identifying');
+        return identifyMusicTracks(segmentFiles, onIdentifyProgress, identifyOptions);
+      }
+
+      setStage('classifying');
+      console.log(`[${taskId}] 🔊 Detecting music vs speech in ${segmentFiles.length} segments...`);
+      segmentFiles = await classifySegments(segmentFiles);
+      const musicSegments = segmentFiles.filter(containsMusic);
+      segmentFiles
+        .filter(segment => !containsMusic(segment))
+        .forEach(segment => segmentEvent(segment, 'skipped', { label: segment.classification?.label }));
+      skippedSegments = segmentFiles.length - musicSegments.length;
+      if (skippedSegments > 0) {
+        console.log(`[${taskId}] ⏭️  Skipping ${skippedSegments} segments without music`);
+      }
+      setStage('identifying');
+      return identifyMusicTracks(musicSegments, onIdentifyProgress, identifyOptions);
+    };
+
     // Try segment-based download first (FAST!)
     let downloadResult;
     let useFullAudio = false;
     let videoInfo;
     
-    try {
-      downloadResult = await downloadVideo(videoUrl, downloadProgressCallback, { mode: 'segments', taskId });
-      
-      if (downloadResult.mode === 'segments') {
-        // SUCCESS! Got segments
-        console.log(`[${taskId}] ✅ Fast segment download complete!`);
-        segmentFiles = downloadResult.segmentFiles.map(s => s.file);
-        videoInfo = downloadResult.videoInfo;
+    if (job.upload) {
+      // Already on disk (streamed to the task directory by POST /api/upload)
+      const uploadFile = path.join(getTaskDirectory(taskId), job.upload.fileName);
+      if (!(await fs.pathExists(uploadFile))) {
+        throw new Error('Uploaded file is no longer available, please upload it again');
       }
-    } catch (segmentError) {
-      console.error(`[${taskId}] ⚠️  Segment download failed, falling back to full audio...`);
-      console.error(`[${taskId}] ❌ Error Details:`, segmentError);
-      console.error(`[${taskId}] ❌ Error Message:`, segmentError.message);
-      
-      // FALLBACK: Download full audio
       useFullAudio = true;
-      const fullDownload = await downloadVideo(videoUrl, downloadProgressCallback, { mode: 'full', taskId });
-      
-      if (fullDownload.audioFile) {
-        audioFile = fullDownload.audioFile;
-        videoFile = null;
-      } else if (fullDownload.videoFile) {
-        videoFile = fullDownload.videoFile;
-        console.log(`[${taskId}] Extracting audio from video...`);
+      updateJob(taskId, { downloadProgress: 100 });
+
+      if (job.upload.hasVideo) {
+        console.log(`[${taskId}] Extracting audio from uploaded video...`);
+        videoFile = uploadFile;
         audioFile = await extractAudio(videoFile);
+      } else {
+        audioFile = uploadFile;
       }
+
+      videoInfo = {
+        title: job.upload.title,
+        duration: job.upload.duration,
+        uploader: 'Unknown',
+        uploadDate: '',
+        thumbnail: '',
+        webpageUrl: null,
+        platform: 'upload'
+      };
+    } else {
+      try {
+        downloadResult = await downloadVideo(videoUrl, downloadProgressCallback, { mode: 'segments', taskId, ...coverageOptions });
+      
+        if (downloadResult.mode === 'segments') {
+          // SUCCESS! Got segments
+          console.log(`[${taskId}] ✅ Fast segment download complete!`);
+          segmentFiles = downloadResult.segmentFiles; // [{ file, startTime, endTime, segmentIndex }]
+          videoInfo = downloadResult.videoInfo;
+        }
+      } catch (segmentError) {
+        console.error(`[${taskId}] ⚠️  Segment download failed, falling back to full audio...`);
+        console.error(`[${taskId}] ❌ Error Details:`, segmentError);
+        console.error(`[${taskId}] ❌ Error Message:`, segmentError.message);
+      
+        // FALLBACK: Download full audio
+        useFullAudio = true;
+        const fullDownload = await downloadVideo(videoUrl, downloadProgressCallback, { mode: 'full', taskId });
       
-      videoInfo = fullDownload;
+        if (fullDownload.audioFile) {
+          audioFile = fullDownload.audioFile;
+          videoFile = null;
+        } else if (fullDownload.videoFile) {
+          videoFile = fullDownload.videoFile;
+          setStage('extracting');
+          console.log(`[${taskId}] Extracting audio from video...`);
+          audioFile = await extractAudio(videoFile);
+        }
+      
+        videoInfo = fullDownload;
+      }
     }
     
-    job.progress = 50; // Download complete (whether segments or full)
-    console.log(`[${taskId}] Progress: ${job.progress}%`);
+    signal?.throwIfAborted();
+    setProgress(50); // Download complete (whether segments or full)
 
     // STEP 2: Identify music from segments
-    let identifiedTracks = [];
+    let segmentMatches = [];
     let audioMetadata = {};
     
     if (!useFullAudio && segmentFiles.length > 0) {
       // FAST PATH: Identify from pre-downloaded segments
       console.log(`[${taskId}] 🎵 Identifying music from ${segmentFiles.length} segments...`);
-      job.progress = 60;
+      updateJob(taskId, { progress: 60 });
       
-      identifiedTracks = await identifyMusicTracks(segmentFiles, job);
+      segmentMatches = await identifySegments();
       
       // Basic metadata from video info
       audioMetadata = {
@@ -103,26 +227,60 @@ export async function processVideo(taskId, videoUrl, jobs) {
     } else {
       // FALLBACK PATH: Split full audio into segments then identify
       console.log(`[${taskId}] Splitting full audio into segments for identification...`);
-      job.progress = 60;
+      updateJob(taskId, { stage: 'extracting', progress: 60 });
       
       const metadataPromise = extractMetadata(audioFile);
-      const segmentsPromise = splitAudioSegments(audioFile);
+      const segmentsPromise = splitAudioSegments(audioFile, coverageOptions.coverage === 'full' ? coverageOptions : {});
       
       const [metadata, segments] = await Promise.all([metadataPromise, segmentsPromise]);
       audioMetadata = metadata;
       segmentFiles = segments;
       
-      job.progress = 70;
+      updateJob(taskId, { progress: 70 });
       console.log(`[${taskId}] Identifying music from ${segmentFiles.length} segments...`);
       
-      identifiedTracks = await identifyMusicTracks(segmentFiles, job);
+      segmentMatches = await identifySegments();
     }
     
-    job.progress = 95;
-    console.log(`[${taskId}] Progress: ${job.progress}%`);
+    signal?.throwIfAborted();
+
+    // Group agreeing segments into occurrences (a song that comes back later is a new occurrence)
+    let timeline = buildTrackTimeline(segmentMatches, segmentFiles);
+    console.log(`[${taskId}] 🧩 ${segmentMatches.length} segment matches -> ${timeline.length} track occurrences`);
+
+    // STEP 2b: Pinpoint where each occurrence starts and ends (optional - costs extra probes)
+    const refineBoundaries = options.refineBoundaries ?? REFINE_BOUNDARIES;
+    if (refineBoundaries && timeline.length > 0) {
+      updateJob(taskId, { stage: 'refining', progress: 90 });
+      console.log(`[${taskId}] 🎯 Refining track boundaries...`);
+      timeline = await refineTrackBoundaries(timeline, {
+        url: videoUrl,
+        audioFile,
+        downloadDir: getTaskDirectory(taskId),
+        title: videoInfo.title,
+        duration: videoInfo.duration
+      });
+    }
+
+    signal?.throwIfAborted();
+    setStage('finalizing');
+    const identifiedTracks = summarizeTracks(timeline);
+
+    // Previews to confirm matches by ear (kept after the task directory is cleaned up)
+    const clips = await saveTrackClips(taskId, identifiedTracks, segmentFiles, audioFile);
+    identifiedTracks.forEach((track, index) => {
+      if (clips[index]) track.clip = clips[index];
+    });
+    signal?.throwIfAborted();
+
+    setProgress(95);
 
     // STEP 3: Compile results
     const processingTime = Math.round((Date.now() - startTime) / 1000);
+    const coverage = computeCoverage(
+      segmentFiles.map(segment => ({ start: segment.startTime, end: segment.endTime })),
+      videoInfo.duration || audioMetadata.duration
+    );
     
     const result = {
       videoInfo: {
@@ -140,42 +298,62 @@ export async function processVideo(taskId, videoUrl, jobs) {
         downloadMode: useFullAudio ? 'full' : 'segments'
       },
       identifiedTracks: identifiedTracks,
-      segments: identifiedTracks.map((track, index) => ({
-        segmentNumber: index + 1,
-        startTime: track.timestamp?.start || 0,
-        endTime: track.timestamp?.end || 0,
-        identifiedTrack: track
-      })),
+      // Where music / speech / silence was heard in the analyzed windows
+      audioTimeline: classifyAudio ? buildAudioTimeline(segmentFiles) : [],
+      // Every occurrence of every track, in playback order
+      timeline,
       processingInfo: {
         processingTime,
-        status: 'completed',
+        // 'quota_exhausted' = finished, but some segments were never identified because a provider's budget ran out
+        status: quotaExhausted.size > 0 ? 'quota_exhausted' : 'completed',
+        quotaExhaustedProviders: [...quotaExhausted],
         tracksFound: identifiedTracks.length,
         segmentsAnalyzed: segmentFiles.length,
+        segmentsSkipped: skippedSegments,
+        boundariesRefined: !!(refineBoundaries && timeline.length > 0),
+        coverage: {
+          mode: coverageOptions.coverage,
+          percent: coverage.percent,
+          analyzedSeconds: coverage.analyzedSeconds
+        },
         downloadMode: useFullAudio ? 'full' : 'segments (10-20x faster!)'
       }
     };
 
-    job.result = result;
-    job.status = 'completed';
-    job.progress = 100;
-    console.log(`[${taskId}] Progress: ${job.progress}%`);
+    const warning = quotaExhausted.size > 0
+      ? `Request quota exhausted for ${[...quotaExhausted].join(', ')} - results may be incomplete`
+      : null;
+    if (warning) {
+      console.warn(`[${taskId}] ⚠️  ${warning}`);
+    }
+    if (getJob(taskId)?.status === 'cancelled') {
+      throw new Error('Job was cancelled');
+    }
+    updateJob(taskId, { result, status: 'completed', progress: 100, ...(warning && { warning }) });
+    console.log(`[${taskId}] Progress: 100%`);
     console.log(`[${taskId}] ✅ Processing completed in ${processingTime}s (${useFullAudio ? 'full' : 'fast'} mode)`);
 
     // Cleanup files after a delay
     // Cleanup files after a delay
     setTimeout(() => {
-      // cleanupFiles([videoFile, audioFile, ...segmentFiles].filter(Boolean));
-      deleteTaskDirectory(taskId); // Cleanup entire task directory
+      // cleanupFiles([videoFile, audioFile, ...segmentFiles.map(s => s.file)].filter(Boolean));
+      deleteTaskDirectory(taskId, { keep: [CLIPS_DIRECTORY] }); // Cleanup task directory, keeping track clips
     }, 3600000); // 1 hour
 
   } catch (error) {
+    if (signal?.aborted || getJob(taskId)?.status === 'cancelled') {
+      // Status was already set to 'cancelled' by cancelJob
+      console.log(`[${taskId}] 🛑 Processing cancelled`);
+      deleteTaskDirectory(taskId);
+      return;
+    }
+
     console.error(`[${taskId}] Processing failed:`, error);
-    job.status = 'failed';
-    job.error = error.message;
+    updateJob(taskId, { status: 'failed', error: error.message });
     
     // Cleanup on error
     // Cleanup on error
-    // cleanupFiles([videoFile, audioFile, ...segmentFiles].filter(Boolean));
+    // cleanupFiles([videoFile, audioFile, ...segmentFiles.map(s => s.file)].filter(Boolean));
     deleteTaskDirectory(taskId); // Cleanup entire task directory
   }
 }
@@ -0,0 +1,175 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getJob, listJobs, updateJob } from './jobStore.js';
+import { subscribeAllJobEvents } from './jobEvents.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { parseAllowedHosts, lookupPublicAddress, checkPublicUrl } from '../utils/publicAddress.js';
+
+// Shared secret for the HMAC signature - callbackUrl is refused when it isn't set
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000; // ms
+const WEBHOOK_MAX_RETRIES = parseInt(process.env.WEBHOOK_MAX_RETRIES ?? '5', 10);
+const WEBHOOK_RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 1000; // ms
+const WEBHOOK_RETRY_MAX_DELAY = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60000; // ms
+// Optional allowlist of callback host names; when set, only these hosts are called (private ones included)
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'interrupted', 'cancelled']);
+// Worth retrying: no response at all, timeouts, rate limiting and server errors
+const RETRY_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+const inFlight = new Set(); // taskIds with a delivery running
+
+/**
+ * DNS lookup for webhook requests that refuses private addresses
+ * Runs when the connection is made, so a host can't pass the check and then
+ * resolve to an internal address (DNS rebinding).
+ */
+function publicLookup(hostname) {
+  return lookupPublicAddress(hostname, WEBHOOK_ALLOWED_HOSTS);
+}
+
+/**
+ * Check a callbackUrl before accepting or calling it
+ * @returns {Promise<string|null>} why it is refused, null when it may be called
+ */
+export function checkCallbackUrl(callbackUrl) {
+  return checkPublicUrl(callbackUrl, { allowedHosts: WEBHOOK_ALLOWED_HOSTS, label: 'callbackUrl' });
+}
+
+export function isWebhookConfigured() {
+  return !!WEBHOOK_SECRET;
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+ * Receivers recompute it with the shared secret and compare (and reject old timestamps).
+ */
+export function signWebhookPayload(timestamp, body, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildPayload(job) {
+  return {
+    event: `job.${job.status}`,
+    taskId: job.taskId,
+    status: job.status,
+    videoUrl: job.videoUrl,
+    ...(job.upload && { fileName: job.upload.originalName }),
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || null,
+    ...(job.error && { error: job.error }),
+    ...(job.warning && { warning: job.warning }),
+    ...(job.status === 'completed' && { result: job.result })
+  };
+}
+
+function logAttempt(taskId, entry) {
+  const job = getJob(taskId);
+  if (!job) return;
+  updateJob(taskId, { webhookDeliveries: [...(job.webhookDeliveries || []), entry] });
+}
+
+/**
+ * POST the finished job to its callbackUrl, retrying with backoff
+ * Every attempt is appended to job.webhookDeliveries; job.webhookStatus ends up
+ * 'delivered' or 'failed'.
+ */
+export async function deliverWebhook(taskId) {
+  const job = getJob(taskId);
+  if (!job?.callbackUrl || !WEBHOOK_SECRET || inFlight.has(taskId)) return;
+
+  inFlight.add(taskId);
+  updateJob(taskId, { webhookStatus: 'pending' });
+
+  const deliveryId = uuidv4();
+  const body = JSON.stringify(buildPayload(job));
+
+  try {
+    // Checked again at delivery time - DNS may have changed since the job was submitted
+    const refused = await checkCallbackUrl(job.callbackUrl);
+    if (refused) {
+      logAttempt(taskId, { deliveryId, attempt: 1, at: new Date().toISOString(), durationMs: 0, ok: false, statusCode: null, error: refused });
+      updateJob(taskId, { webhookStatus: 'failed' });
+      console.error(`❌ Webhook for ${taskId} refused: ${refused}`);
+      return;
+    }
+
+    const outcome = await retryWithBackoff(async (attempt) => {
+      // Signed per attempt so the timestamp is fresh on retries
+      const timestamp = Math.floor(Date.now() / 1000);
+      const started = Date.now();
+      let outcome;
+
+      try {
+        const response = await axios.post(job.callbackUrl, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'video-audio-extractor-webhooks',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Event': `job.${job.status}`,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signWebhookPayload(timestamp, body)}`
+          },
+          timeout: WEBHOOK_TIMEOUT,
+          maxRedirects: 0,
+          lookup: publicLookup,
+          validateStatus: () => true
+        });
+        outcome = { ok: response.status >= 200 && response.status < 300, statusCode: response.status };
+      } catch (error) {
+        outcome = { ok: false, statusCode: null, error: error.code || error.message };
+      }
+
+      logAttempt(taskId, {
+        deliveryId,
+        attempt: attempt + 1,
+        at: new Date(started).toISOString(),
+        durationMs: Date.now() - started,
+        ...outcome
+      });
+      return outcome;
+    }, {
+      retries: WEBHOOK_MAX_RETRIES,
+      baseDelay: WEBHOOK_RETRY_BASE_DELAY,
+      maxDelay: WEBHOOK_RETRY_MAX_DELAY,
+      shouldRetry: outcome => !outcome.ok && (outcome.statusCode === null || RETRY_STATUS_CODES.has(outcome.statusCode)),
+      onRetry: (outcome, attempt, delay) => {
+        console.warn(`↻ Webhook for ${taskId} failed (${outcome.statusCode ?? outcome.error}) - retry ${attempt}/${WEBHOOK_MAX_RETRIES} in ${delay}ms`);
+      }
+    });
+
+    updateJob(taskId, { webhookStatus: outcome.ok ? 'delivered' : 'failed' });
+    if (outcome.ok) {
+      console.log(`📨 Webhook for ${taskId} delivered to ${job.callbackUrl}`);
+    } else {
+      console.error(`❌ Webhook for ${taskId} failed: ${outcome.statusCode ?? outcome.error}`);
+    }
+  } finally {
+    inFlight.delete(taskId);
+  }
+}
+
+/**
+ * Deliver webhooks whenever a job with a callbackUrl finishes
+ * (called before the job store loads, so jobs it marks interrupted are reported too)
+ */
+export function initWebhooks() {
+  subscribeAllJobEvents((taskId, { type, data }) => {
+    if (type === 'status' && FINISHED_STATUSES.has(data.status)) {
+      deliverWebhook(taskId);
+    }
+  });
+}
+
+/**
+ * Retry deliveries a restart cut short (run once the job store is loaded)
+ */
+export function resumeWebhookDeliveries() {
+  const pending = listJobs().filter(job => job.callbackUrl && job.webhookStatus === 'pending');
+  pending.forEach(job => deliverWebhook(job.taskId));
+  if (pending.length > 0) {
+    console.log(`📨 Resuming ${pending.length} webhook deliveries`);
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Tile the whole duration with windows of `windowDuration` seconds that overlap by `overlap` seconds
+ * Returns array of {start, end} timestamps in seconds
+ */
+export function tileWindows(duration, windowDuration, overlap = 0) {
+  if (duration <= windowDuration) {
+    return [{ start: 0, end: duration }];
+  }
+
+  const step = Math.max(1, windowDuration - overlap);
+  const windows = [];
+
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(start + windowDuration, duration);
+    windows.push({ start, end });
+    if (end >= duration) break;
+  }
+
+  // Don't leave a tiny tail window - stretch it back so it is a full window
+  const last = windows[windows.length - 1];
+  if (windows.length > 1 && last.end - last.start < windowDuration / 2) {
+    last.start = Math.max(0, duration - windowDuration);
+  }
+
+  return windows;
+}
+
+/**
+ * Percentage of the duration covered by the union of the given windows
+ */
+export function computeCoverage(windows, duration) {
+  if (!duration || windows.length === 0) {
+    return { percent: 0, analyzedSeconds: 0 };
+  }
+
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  let covered = 0;
+  let currentStart = sorted[0].start;
+  let currentEnd = sorted[0].end;
+
+  for (const { start, end } of sorted.slice(1)) {
+    if (start > currentEnd) {
+      covered += currentEnd - currentStart;
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  }
+  covered += currentEnd - currentStart;
+
+  const analyzedSeconds = Math.min(covered, duration);
+  return {
+    percent: Math.round((analyzedSeconds / duration) * 1000) / 10,
+    analyzedSeconds: Math.round(analyzedSeconds)
+  };
+}
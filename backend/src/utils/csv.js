@@ -0,0 +1,71 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ * Returns an array of objects keyed by the (trimmed, lower-cased) header row.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim().toLowerCase());
+  return records.map(record =>
+    Object.fromEntries(keys.map((key, index) => [key, (record[index] || '').trim()]))
+  );
+}
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Text from recognizers ("=HYPERLINK(...)" as a title) is shown as text, numbers are left alone
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values) to RFC 4180 CSV with a header row
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
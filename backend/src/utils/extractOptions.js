@@ -0,0 +1,96 @@
+/**
+ * Validate the processing options shared by POST /api/extract and POST /api/batches
+ * Returns { options } ready to store on a job, or { error } with a message for a 400.
+ */
+export function parseProcessingOptions(body = {}) {
+  const { refineBoundaries, classifyAudio, speedVariants, coverage, windowDuration, windowOverlap } = body;
+
+  // Validate coverage options
+  if (coverage !== undefined && !['sampled', 'full'].includes(coverage)) {
+    return { error: 'coverage must be "sampled" or "full"' };
+  }
+  if (windowDuration !== undefined && (!Number.isFinite(windowDuration) || windowDuration < 5 || windowDuration > 60)) {
+    return { error: 'windowDuration must be between 5 and 60 seconds' };
+  }
+  if (windowOverlap !== undefined && (!Number.isFinite(windowOverlap) || windowOverlap < 0 || windowOverlap >= (windowDuration || parseInt(process.env.SEGMENT_DURATION) || 15))) {
+    return { error: 'windowOverlap must be at least 0 and shorter than windowDuration' };
+  }
+
+  return {
+    options: {
+      refineBoundaries: typeof refineBoundaries === 'boolean' ? refineBoundaries : undefined,
+      classifyAudio: typeof classifyAudio === 'boolean' ? classifyAudio : undefined,
+      speedVariants: typeof speedVariants === 'boolean' ? speedVariants : undefined,
+      coverage,
+      windowDuration,
+      windowOverlap
+    }
+  };
+}
+
+/**
+ * Multipart form fields arrive as strings - turn the option fields back into booleans/numbers
+ * so the same validation as for JSON bodies applies
+ */
+export function coerceFormFields(body = {}) {
+  const fields = { ...body };
+  for (const key of ['refineBoundaries', 'classifyAudio', 'speedVariants']) {
+    if (fields[key] === 'true' || fields[key] === 'false') fields[key] = fields[key] === 'true';
+  }
+  for (const key of ['windowDuration', 'windowOverlap']) {
+    if (typeof fields[key] === 'string' && fields[key].trim() !== '') fields[key] = Number(fields[key]);
+  }
+  return fields;
+}
+
+/**
+ * Parse "YYYY-MM-DD" / "YYYYMMDD" into yt-dlp's YYYYMMDD form (null if invalid)
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  // Date rolls impossible days over (2024-02-31 becomes March 2), so check nothing moved
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${match[1]}${match[2]}${match[3]}`;
+}
+
+/**
+ * Validate playlist/channel expansion options: maxItems, dateAfter, dateBefore (inclusive)
+ * Returns { playlistOptions } or { error }.
+ */
+export function parsePlaylistOptions(body = {}, maxAllowed = Infinity) {
+  const { maxItems, dateAfter, dateBefore } = body;
+
+  if (maxItems !== undefined && (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > maxAllowed)) {
+    return { error: `maxItems must be a whole number between 1 and ${maxAllowed}` };
+  }
+  const after = dateAfter === undefined ? null : parseDate(dateAfter);
+  const before = dateBefore === undefined ? null : parseDate(dateBefore);
+  if ((dateAfter !== undefined && !after) || (dateBefore !== undefined && !before)) {
+    return { error: 'dateAfter and dateBefore must be dates (YYYY-MM-DD)' };
+  }
+  if (after && before && after > before) {
+    return { error: 'dateAfter must not be later than dateBefore' };
+  }
+
+  return {
+    playlistOptions: {
+      maxItems,
+      dateAfter: after || undefined,
+      dateBefore: before || undefined
+    }
+  };
+}
+
+export function isValidUrl(value) {
+  if (!value || typeof value !== 'string') return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
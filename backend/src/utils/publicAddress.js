@@ -0,0 +1,80 @@
+import dns from 'dns';
+import net from 'net';
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Parse a comma-separated host allowlist from the environment (lower-cased)
+ */
+export function parseAllowedHosts(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * DNS lookup that refuses private addresses, unless the host is in allowedHosts
+ * Throws an error with code EPRIVATEADDRESS when the host resolves to one.
+ */
+export async function lookupPublicAddress(hostname, allowedHosts = []) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (!allowedHosts.includes(hostname.toLowerCase())) {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      error.code = 'EPRIVATEADDRESS';
+      throw error;
+    }
+  }
+  return addresses[0];
+}
+
+/**
+ * Check that a user-supplied URL is http(s) and points to a public address
+ * With an allowlist, only its hosts are accepted (private ones included).
+ *
+ * @param {Object} options - { allowedHosts, label: name of the field in error messages }
+ * @returns {Promise<string|null>} why it is refused, null when it may be used
+ */
+export async function checkPublicUrl(value, { allowedHosts = [], label = 'URL' } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return `${label} must be an http(s) URL`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `${label} must be an http(s) URL`;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (allowedHosts.length > 0) {
+    return allowedHosts.includes(hostname.toLowerCase()) ? null : `${label} host must be one of: ${allowedHosts.join(', ')}`;
+  }
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? `${label} must not point to a private or local address` : null;
+  }
+  try {
+    await lookupPublicAddress(hostname);
+    return null;
+  } catch (error) {
+    return error.code === 'EPRIVATEADDRESS'
+      ? `${label} must not point to a private or local address`
+      : `${label} host could not be resolved: ${hostname}`;
+  }
+}
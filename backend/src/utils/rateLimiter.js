@@ -0,0 +1,31 @@
+/**
+ * Token bucket: allows bursts of up to `burst` calls, refilled at `ratePerSecond`
+ * take() resolves once a token is available (callers queue in FIFO order).
+ */
+export function createTokenBucket({ ratePerSecond, burst = ratePerSecond }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  };
+
+  const waitForToken = async () => {
+    refill();
+    while (tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(((1 - tokens) / ratePerSecond) * 1000)));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    take() {
+      queue = queue.then(waitForToken);
+      return queue;
+    }
+  };
+}
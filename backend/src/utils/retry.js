@@ -0,0 +1,25 @@
+/**
+ * Exponential backoff with full jitter: a random delay up to baseDelay * 2^attempt
+ */
+export function backoffDelay(attempt, baseDelay, maxDelay) {
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Call `fn` until `shouldRetry(result)` is false or the retries run out
+ * Works on returned results (providers report failures as values, not exceptions).
+ *
+ * @param {Object} options - { retries, baseDelay, maxDelay, shouldRetry, onRetry }
+ */
+export async function retryWithBackoff(fn, { retries = 3, baseDelay = 500, maxDelay = 8000, shouldRetry, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const result = await fn(attempt);
+    if (attempt >= retries || !shouldRetry(result)) {
+      return result;
+    }
+
+    const delay = backoffDelay(attempt, baseDelay, maxDelay);
+    onRetry?.(result, attempt + 1, delay);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
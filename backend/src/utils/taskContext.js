@@ -0,0 +1,89 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-job context for cancellation
+ *
+ * processVideo runs inside runInTaskContext(), so every child process spawned and every
+ * HTTP request made on its behalf - however deep in the pipeline - can find the job's
+ * abort signal without it being passed through each function.
+ */
+const storage = new AsyncLocalStorage();
+const tasks = new Map(); // taskId -> { controller, processes }
+const groupLeaders = new WeakSet(); // spawned detached - kill the whole process group
+
+function kill(proc) {
+  try {
+    if (groupLeaders.has(proc)) {
+      process.kill(-proc.pid, 'SIGKILL');
+    } else {
+      proc.kill('SIGKILL');
+    }
+  } catch {
+    // already exited
+  }
+}
+
+export function runInTaskContext(taskId, fn) {
+  const task = { controller: new AbortController(), processes: new Set() };
+  tasks.set(taskId, task);
+
+  return storage.run(task, fn).finally(() => tasks.delete(taskId));
+}
+
+/**
+ * Abort signal of the job the caller runs for (undefined outside a job)
+ */
+export function getTaskSignal() {
+  return storage.getStore()?.controller.signal;
+}
+
+/**
+ * Register a child process or fluent-ffmpeg command with the current job so cancelling
+ * the job kills it. Returns the process/command for chaining.
+ *
+ * @param {Object} options - { group: true } for processes spawned with `detached: true`
+ *                           (their own children, e.g. yt-dlp's ffmpeg, are killed too)
+ */
+export function trackProcess(proc, { group = false } = {}) {
+  const task = storage.getStore();
+  if (!task) return proc;
+
+  if (group && proc.pid) groupLeaders.add(proc);
+  task.processes.add(proc);
+  const untrack = () => task.processes.delete(proc);
+  // Child processes emit 'close', fluent-ffmpeg commands 'end' / 'error'
+  proc.once('close', untrack).once('end', untrack).once('error', untrack);
+  // fluent-ffmpeg spawns ffmpeg later - kill commands that start after a cancel
+  proc.once('start', () => {
+    if (task.controller.signal.aborted) kill(proc);
+  });
+
+  if (task.controller.signal.aborted) kill(proc);
+  return proc;
+}
+
+/**
+ * Kill the child processes of every running job
+ * Process groups are detached, so they would otherwise outlive the server.
+ */
+export function killAllTaskProcesses() {
+  for (const task of tasks.values()) {
+    task.processes.forEach(kill);
+    task.processes.clear();
+  }
+}
+
+/**
+ * Abort a running job: pending requests are aborted and its child processes killed
+ * Returns the number of processes killed, or null when the job isn't running here.
+ */
+export function cancelTask(taskId) {
+  const task = tasks.get(taskId);
+  if (!task) return null;
+
+  task.controller.abort(new Error('Job cancelled'));
+  const killed = task.processes.size;
+  task.processes.forEach(kill);
+  task.processes.clear();
+  return killed;
+}
@@ -0,0 +1,206 @@
+import path from 'path';
+import { toCsv } from './csv.js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  cue: { extension: 'cue', contentType: 'application/x-cue' },
+  chapters: { extension: 'txt', contentType: 'text/plain' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip' },
+  edl: { extension: 'edl', contentType: 'text/plain' }
+};
+
+// Timecode rates an EDL can be written at (non-drop frame)
+export const EDL_FRAME_RATES = [24, 25, 30];
+
+// YouTube only turns a description into chapters with at least 3 of them, each at least 10 seconds long
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_LENGTH = 10;
+
+function exportError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function trackName(play) {
+  return play.artist ? `${play.artist} - ${play.title}` : play.title;
+}
+
+/**
+ * Every play of every identified track, in playback order
+ * Results from before tracks had occurrences fall back to their single timestamp.
+ */
+function listPlays(result) {
+  const plays = [];
+  for (const track of result.identifiedTracks || []) {
+    const occurrences = track.occurrences || (track.timestamp ? [{ ...track.timestamp, confidence: track.confidence }] : []);
+    for (const occurrence of occurrences) {
+      plays.push({
+        title: track.title,
+        artist: track.artist,
+        album: track.album || null,
+        isrc: track.isrc || null,
+        start: occurrence.start,
+        end: occurrence.end,
+        confidence: occurrence.confidence ?? track.confidence
+      });
+    }
+  }
+  return plays.sort((a, b) => a.start - b.start);
+}
+
+// 1:02:03 or 2:03 (YouTube chapter style)
+function formatClock(seconds, withHours) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return withHours ? `${hours}:${pad(mins)}:${pad(secs)}` : `${Math.floor(total / 60)}:${pad(secs)}`;
+}
+
+function toCsvExport(plays) {
+  return toCsv(
+    ['index', 'start', 'end', 'start_time', 'end_time', 'title', 'artist', 'album', 'isrc', 'confidence'],
+    plays.map((play, index) => [
+      index + 1, play.start, play.end, formatClock(play.start, true), formatClock(play.end, true),
+      play.title, play.artist, play.album, play.isrc, play.confidence
+    ])
+  );
+}
+
+/**
+ * Cue sheet: INDEX times are MM:SS:FF with 75 frames per second (minutes may exceed 99)
+ */
+function toCue(plays, result) {
+  const quote = text => `"${String(text || '').replace(/"/g, "'")}"`;
+  const cueTime = seconds => {
+    const frames = Math.round(seconds * 75);
+    return `${pad(Math.floor(frames / 4500))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+  };
+  const audioFile = result.audioMetadata?.audioFile;
+  const fileName = audioFile && audioFile !== 'segments'
+    ? path.basename(audioFile)
+    : `${result.videoInfo?.title || 'audio'}.mp3`;
+  const fileType = path.extname(fileName).toLowerCase() === '.wav' ? 'WAVE' : 'MP3';
+
+  const lines = [];
+  if (result.videoInfo?.uploader) lines.push(`PERFORMER ${quote(result.videoInfo.uploader)}`);
+  if (result.videoInfo?.title) lines.push(`TITLE ${quote(result.videoInfo.title)}`);
+  lines.push(`FILE ${quote(fileName)} ${fileType}`);
+
+  // A cue track runs until the next one starts, so overlapping plays would be out of order
+  let lastStart = -1;
+  let number = 0;
+  for (const play of plays) {
+    if (play.start <= lastStart) continue;
+    lastStart = play.start;
+    number++;
+    lines.push(
+      `  TRACK ${pad(number)} AUDIO`,
+      `    TITLE ${quote(play.title)}`,
+      `    PERFORMER ${quote(play.artist)}`,
+      ...(play.isrc ? [`    ISRC ${play.isrc}`] : []),
+      `    INDEX 01 ${cueTime(play.start)}`
+    );
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * YouTube description chapters: the first one must start at 0:00
+ * A chapter shorter than MIN_CHAPTER_LENGTH is dropped and its time goes to the chapter
+ * before it (or the next one moves to 0:00). Throws a 422 when fewer than MIN_CHAPTERS remain.
+ */
+function toChapters(plays, result) {
+  const duration = result.videoInfo?.duration || plays[plays.length - 1]?.end || 0;
+  const withHours = duration >= 3600;
+  const chapters = [];
+  if (plays.length === 0 || Math.floor(plays[0].start) > 0) {
+    chapters.push({ start: 0, name: 'Intro' });
+  }
+  for (const play of plays) {
+    const start = Math.floor(play.start);
+    const previous = chapters[chapters.length - 1];
+    if (previous && start <= previous.start) continue;
+    if (previous && start - previous.start < MIN_CHAPTER_LENGTH) {
+      chapters.pop();
+      chapters.push({ start: chapters.length === 0 ? 0 : start, name: trackName(play) });
+      continue;
+    }
+    chapters.push({ start, name: trackName(play) });
+  }
+  while (chapters.length > 1 && duration - chapters[chapters.length - 1].start < MIN_CHAPTER_LENGTH) {
+    chapters.pop();
+  }
+
+  if (chapters.length < MIN_CHAPTERS) {
+    throw exportError(
+      `YouTube needs at least ${MIN_CHAPTERS} chapters of ${MIN_CHAPTER_LENGTH} seconds or more, this tracklist only has ${chapters.length}`,
+      422
+    );
+  }
+  return chapters.map(chapter => `${formatClock(chapter.start, withHours)} ${chapter.name}`).join('\n') + '\n';
+}
+
+/**
+ * SRT subtitles showing "Now playing" while each track plays
+ */
+function toSrt(plays) {
+  const srtTime = seconds => {
+    const ms = Math.round(seconds * 1000);
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+  };
+  return plays
+    .map((play, index) => `${index + 1}\r\n${srtTime(play.start)} --> ${srtTime(play.end)}\r\nNow playing: ${trackName(play)}\r\n`)
+    .join('\r\n');
+}
+
+/**
+ * CMX3600 EDL with one audio event per play; source and record timecodes match the video
+ */
+function toEdl(plays, result, fps) {
+  const timecode = seconds => {
+    const frames = Math.round(seconds * fps);
+    const totalSeconds = Math.floor(frames / fps);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frames % fps)}`;
+  };
+  // EDL titles and clip names are plain ASCII, one line each
+  const clean = text => String(text || '').normalize('NFD').replace(/[^\x20-\x7e]/g, '').trim();
+
+  const lines = [`TITLE: ${clean(result.videoInfo?.title) || 'Tracklist'}`, 'FCM: NON-DROP FRAME', ''];
+  plays.forEach((play, index) => {
+    const start = timecode(play.start);
+    const end = timecode(play.end);
+    lines.push(
+      `${pad(index + 1, 3)}  AX       A     C        ${start} ${end} ${start} ${end}`,
+      `* FROM CLIP NAME: ${clean(trackName(play))}`,
+      `* COMMENT: ${play.confidence}% MATCH${play.isrc ? ` ISRC ${play.isrc}` : ''}`,
+      ''
+    );
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Render a job result's tracklist in one of EXPORT_FORMATS
+ * @param {Object} result - completed job result
+ * @param {string} format - key of EXPORT_FORMATS
+ * @param {Object} options - { fps } for EDL
+ * @returns {string}
+ * @throws {Error} with status 422 when the tracklist can't be written in that format
+ */
+export function exportTracklist(result, format, { fps = 25 } = {}) {
+  const plays = listPlays(result);
+  switch (format) {
+    case 'csv': return toCsvExport(plays);
+    case 'cue': return toCue(plays, result);
+    case 'chapters': return toChapters(plays, result);
+    case 'srt': return toSrt(plays);
+    case 'edl': return toEdl(plays, result, fps);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
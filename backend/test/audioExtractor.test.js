@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { preprocessSegment, decodeToPcm } from '../src/services/audioExtractor.js';
+
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+const workDir = path.join(os.tmpdir(), `audio-extractor-test-${process.pid}`);
+
+after(() => fs.remove(workDir));
+
+function rms(samples) {
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return Math.sqrt(sum / samples.length);
+}
+
+// Different tones left and right, so there is something left once the centre is cancelled
+function makeStereoFile(file) {
+  const { status, stderr } = spawnSync('ffmpeg', [
+    '-y', '-loglevel', 'error',
+    '-f', 'lavfi', '-i', 'sine=frequency=440:duration=3',
+    '-f', 'lavfi', '-i', 'sine=frequency=660:duration=3',
+    '-filter_complex', '[0:a][1:a]join=inputs=2:channel_layout=stereo',
+    '-c:a', 'libmp3lame', file
+  ]);
+  assert.equal(status, 0, String(stderr));
+}
+
+test('vocal-reduce output is not silent once downmixed to mono', { skip: !hasFfmpeg && 'ffmpeg is not installed' }, async () => {
+  await fs.ensureDir(workDir);
+  const input = path.join(workDir, 'stereo.mp3');
+  makeStereoFile(input);
+
+  const output = await preprocessSegment(input, 'vocal-reduce');
+  assert.notEqual(output, input, 'preprocessing fell back to the original file');
+  assert.ok(rms(await decodeToPcm(output)) > 0.01);
+});
+
+test('vocal-reduce does not apply to mono files', { skip: !hasFfmpeg && 'ffmpeg is not installed' }, async () => {
+  await fs.ensureDir(workDir);
+  const input = path.join(workDir, 'mono.mp3');
+  const { status } = spawnSync('ffmpeg', ['-y', '-loglevel', 'error', '-f', 'lavfi', '-i', 'sine=frequency=440:duration=1', input]);
+  assert.equal(status, 0);
+
+  assert.equal(await preprocessSegment(input, 'vocal-reduce'), null);
+});
@@ -0,0 +1,29 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const WORK_DIR = path.join(os.tmpdir(), `catalog-import-test-${process.pid}`);
+const ROOT = path.join(WORK_DIR, 'root');
+process.env.CATALOG_IMPORT_ROOT = ROOT;
+process.env.FINGERPRINT_INDEX_DIR = path.join(WORK_DIR, 'index');
+const { importManifest } = await import('../src/services/catalogImporter.js');
+
+before(() => fs.ensureDir(ROOT));
+after(() => fs.remove(WORK_DIR));
+
+test('bad manifest rows are reported one by one instead of aborting the import', async () => {
+  await fs.writeFile(path.join(ROOT, 'manifest.csv'), 'file,title\n../outside.mp3,Outside\n,No file\nmissing.mp3,Missing\n');
+
+  const { imported, failed } = await importManifest('manifest.csv');
+  assert.equal(imported.length, 0);
+  assert.deepEqual(failed.map(({ file }) => file), ['../outside.mp3', '', path.join(ROOT, 'missing.mp3')]);
+  assert.match(failed[0].error, /outside CATALOG_IMPORT_ROOT/);
+  assert.match(failed[1].error, /no file/);
+  assert.match(failed[2].error, /not found/);
+});
+
+test('a manifest outside the root is refused as a whole', async () => {
+  await assert.rejects(importManifest('../manifest.csv'), { status: 403 });
+});
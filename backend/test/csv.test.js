@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../src/utils/csv.js';
+
+test('fields are quoted when they contain commas, quotes or newlines', () => {
+  assert.equal(toCsv(['title'], [['A, B'], ['Say "hi"'], ['two\nlines']]), 'title\r\n"A, B"\r\n"Say ""hi"""\r\n"two\nlines"\r\n');
+});
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+  const csv = toCsv(['title', 'artist'], [
+    ['=HYPERLINK("http://example.com","x")', '+1'],
+    ['-Remix', '@SUM(A1)'],
+    ['\tTabbed', '\rReturn']
+  ]);
+  assert.deepEqual(parseCsv(csv), [
+    { title: '\'=HYPERLINK("http://example.com","x")', artist: "'+1" },
+    { title: "'-Remix", artist: "'@SUM(A1)" },
+    { title: "'\tTabbed", artist: "'\rReturn" }
+  ]);
+});
+
+test('numbers are written as they are', () => {
+  assert.equal(toCsv(['start', 'offset'], [[-1.5, 12]]), 'start,offset\r\n-1.5,12\r\n');
+});
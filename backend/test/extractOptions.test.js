@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlaylistOptions } from '../src/utils/extractOptions.js';
+
+test('dates are accepted with or without dashes', () => {
+  assert.deepEqual(parsePlaylistOptions({ dateAfter: '2024-02-29', dateBefore: '20241231' }).playlistOptions, {
+    maxItems: undefined,
+    dateAfter: '20240229',
+    dateBefore: '20241231'
+  });
+});
+
+test('impossible dates are refused instead of rolling over', () => {
+  for (const dateAfter of ['2024-02-31', '2023-02-29', '2024-04-31', '2024-13-01', '2024-00-10', '2024-01-00']) {
+    assert.match(parsePlaylistOptions({ dateAfter }).error, /must be dates/, dateAfter);
+  }
+});
+
+test('dateAfter must not be later than dateBefore', () => {
+  assert.match(parsePlaylistOptions({ dateAfter: '2024-03-02', dateBefore: '2024-03-01' }).error, /must not be later/);
+});
@@ -0,0 +1,96 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const CACHE_FILE = path.join(os.tmpdir(), `ident-cache-test-${process.pid}.json`);
+process.env.IDENT_CACHE_FILE = CACHE_FILE;
+const {
+  getCachedIdentification,
+  cacheIdentification,
+  cacheNoMatch,
+  clearCache
+} = await import('../src/services/identCache.js');
+
+/**
+ * Synthetic signature: hashes start at `base`, the i-th one first heard at i * 0.05s
+ */
+function makeSignature(key, { base = 1000, count = 200, shift = 0, replace = 0 } = {}) {
+  const signature = [];
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    // The first `replace` hashes are different audio
+    signature.push(i < replace ? base + 100000 + i : base + i);
+    times.push(Math.round((i * 0.05 + shift) * 100) / 100);
+  }
+  return { key, signature, times };
+}
+
+const match = { title: 'Song A', artist: 'X', songOffset: { start: 12, end: 27 } };
+
+beforeEach(() => clearCache());
+after(() => fs.remove(CACHE_FILE));
+
+test('exact key returns the cached match', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  assert.deepEqual(await getCachedIdentification(makeSignature('a')), { value: match });
+});
+
+test('similar audio at the same position returns the cached match', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  // Re-encoded: a different digest, 20% of the hashes changed, times off by less than the tolerance
+  const reencoded = makeSignature('b', { replace: 40, shift: 0.3 });
+  assert.deepEqual(await getCachedIdentification(reencoded), { value: match });
+});
+
+test('similar audio at another position is a miss', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  // Same hashes, but 5s later: an overlapping window of the same audio
+  assert.equal(await getCachedIdentification(makeSignature('b', { shift: 5 })), null);
+});
+
+test('shared hashes without a common alignment are a miss', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  const scrambled = makeSignature('b');
+  scrambled.times = scrambled.times.map((time, index) => (index % 2 ? time + 3 : time - 3));
+  assert.equal(await getCachedIdentification(scrambled), null);
+});
+
+test('too few shared hashes is a miss', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  assert.equal(await getCachedIdentification(makeSignature('b', { replace: 120 })), null);
+});
+
+test('signatures without times only hit on the exact key', async () => {
+  await cacheIdentification(makeSignature('a'), match);
+  const { key, signature } = makeSignature('b');
+  assert.equal(await getCachedIdentification({ key, signature }), null);
+});
+
+test('a negative entry applies to the exact key and scope only', async () => {
+  await cacheNoMatch(makeSignature('a'), 'default');
+  assert.deepEqual(await getCachedIdentification(makeSignature('a'), 'default'), { negative: true });
+  assert.equal(await getCachedIdentification(makeSignature('a'), 'other'), null);
+});
+
+test('a negative entry is never applied to similar audio', async () => {
+  await cacheNoMatch(makeSignature('a'), 'default');
+  assert.equal(await getCachedIdentification(makeSignature('b'), 'default'), null);
+});
+
+test('a similar lookup skips negative entries and finds the positive one', async () => {
+  await cacheNoMatch(makeSignature('a'), 'default');
+  await cacheIdentification(makeSignature('c', { replace: 20 }), match);
+  assert.deepEqual(await getCachedIdentification(makeSignature('b'), 'default'), { value: match });
+});
+
+test('a similar lookup passes over an expired entry for a live one', async (t) => {
+  await cacheIdentification(makeSignature('a'), { ...match, title: 'Stale' });
+  const later = Date.now() + 31 * 24 * 3600000;
+  t.mock.method(Date, 'now', () => later);
+  await cacheIdentification(makeSignature('c', { replace: 20 }), match);
+
+  // 'a' is the closer one, but it is past its TTL
+  assert.deepEqual(await getCachedIdentification(makeSignature('b')), { value: match });
+});
@@ -0,0 +1,30 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const JOB_STORE_DIR = path.join(os.tmpdir(), `job-store-test-${process.pid}`);
+process.env.JOB_STORE_DIR = JOB_STORE_DIR;
+const { createJob, getJob, updateJob } = await import('../src/services/jobStore.js');
+
+after(() => fs.remove(JOB_STORE_DIR));
+
+test('a cancelled job is not turned into a completed one', async () => {
+  await createJob({ taskId: 'cancel-race', status: 'processing' });
+  updateJob('cancel-race', { status: 'cancelled', error: 'Cancelled by user' });
+
+  updateJob('cancel-race', { result: { identifiedTracks: [] }, status: 'completed', progress: 100 });
+  updateJob('cancel-race', { status: 'failed', error: 'ffmpeg was killed' });
+
+  const job = getJob('cancel-race');
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.result, null);
+  assert.equal(job.error, 'Cancelled by user');
+});
+
+test('other jobs still move from processing to completed', async () => {
+  await createJob({ taskId: 'normal', status: 'processing' });
+  updateJob('normal', { result: { identifiedTracks: [] }, status: 'completed' });
+  assert.equal(getJob('normal').status, 'completed');
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkStreamUrl } from '../src/services/liveMonitor.js';
+
+test('public http(s) streams are accepted', async () => {
+  assert.equal(await checkStreamUrl('https://93.184.216.34/live.m3u8'), null);
+});
+
+test('streams on private, loopback or link-local addresses are refused', async () => {
+  for (const url of ['http://127.0.0.1:8000/stream', 'http://localhost/stream', 'http://10.0.0.8/radio', 'http://169.254.169.254/latest']) {
+    assert.match(await checkStreamUrl(url), /private or local/, url);
+  }
+});
+
+test('other protocols are refused', async () => {
+  assert.match(await checkStreamUrl('file:///etc/passwd'), /http\(s\)/);
+  assert.match(await checkStreamUrl('rtmp://93.184.216.34/live'), /http\(s\)/);
+});
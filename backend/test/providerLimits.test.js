@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const QUOTA_FILE = path.join(os.tmpdir(), `provider-limits-test-${process.pid}.json`);
+process.env.QUOTA_STATE_FILE = QUOTA_FILE;
+process.env.PROVIDER_RETRY_BASE_DELAY = '1';
+process.env.PROVIDER_RETRY_MAX_DELAY = '1';
+const { withProviderLimits } = await import('../src/services/providers/limits.js');
+const { getQuotaStatus } = await import('../src/services/quotaBudget.js');
+
+after(() => fs.remove(QUOTA_FILE));
+
+function fakeProvider(name, outcomes) {
+  const provider = {
+    name,
+    requestsPerSecond: 1000,
+    calls: 0,
+    async identify() {
+      return outcomes[Math.min(provider.calls++, outcomes.length - 1)];
+    }
+  };
+  return provider;
+}
+
+async function used(name) {
+  return (await getQuotaStatus([name])).find(entry => entry.provider === name).dailyUsed;
+}
+
+test('transient errors are retried but the budget is charged once', async () => {
+  const provider = fakeProvider('flaky', [
+    { status: 'error', code: 3000 },
+    { status: 'error', code: 503 },
+    { status: 'no_match' }
+  ]);
+  const outcome = await withProviderLimits(provider).identify('segment.mp3', { segmentIndex: 0 });
+
+  assert.equal(outcome.status, 'no_match');
+  assert.equal(provider.calls, 3);
+  assert.equal(await used('flaky'), 1);
+});
+
+test('an account limit is reported as quota exhausted without retries', async () => {
+  const provider = fakeProvider('limited', [{ status: 'quota_exhausted', code: 3003, message: 'limit exceeded' }]);
+  const outcome = await withProviderLimits(provider).identify('segment.mp3', { segmentIndex: 0 });
+
+  assert.equal(outcome.status, 'quota_exhausted');
+  assert.equal(provider.calls, 1);
+  assert.equal(await used('limited'), 1);
+});
+
+test('ACRCloud 3003 as a plain error is not retried either', async () => {
+  const provider = fakeProvider('legacy', [{ status: 'error', code: 3003 }]);
+  await withProviderLimits(provider).identify('segment.mp3', { segmentIndex: 0 });
+  assert.equal(provider.calls, 1);
+});
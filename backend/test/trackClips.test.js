@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+const DOWNLOAD_DIR = path.join(os.tmpdir(), `track-clips-test-${process.pid}`);
+process.env.DOWNLOAD_DIR = DOWNLOAD_DIR;
+process.env.CLIP_MAX_DURATION = '30';
+const { saveTrackClips, getClipFile } = await import('../src/services/trackClips.js');
+
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+const skip = !hasFfmpeg && 'ffmpeg is not installed';
+
+function makeAudio(file, duration) {
+  const { status, stderr } = spawnSync('ffmpeg', [
+    '-y', '-loglevel', 'error', '-f', 'lavfi', '-i', `sine=frequency=440:duration=${duration}`, file
+  ]);
+  assert.equal(status, 0, String(stderr));
+}
+
+function duration(file) {
+  const { stdout } = spawnSync('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', file]);
+  return Number(String(stdout));
+}
+
+before(() => fs.ensureDir(DOWNLOAD_DIR));
+after(() => fs.remove(DOWNLOAD_DIR));
+
+test('clips follow refined boundaries, else the timestamp, up to the length limit', { skip }, async () => {
+  const audioFile = path.join(DOWNLOAD_DIR, 'full.mp3');
+  makeAudio(audioFile, 60);
+  const tracks = [
+    { title: 'A', timestamp: { start: 12, end: 20 }, boundaries: { in: 12, out: 20 } },
+    { title: 'B', timestamp: { start: 5, end: 50 } }
+  ];
+
+  const clips = await saveTrackClips('full', tracks, [], audioFile);
+  assert.deepEqual(clips, [{ start: 12, end: 20 }, { start: 5, end: 35 }]);
+  assert.ok(Math.abs(duration(getClipFile('full', 1)) - 8) < 0.2);
+  assert.ok(Math.abs(duration(getClipFile('full', 2)) - 30) < 0.2);
+});
+
+test('in segment mode the clip starts at the first analyzed audio inside the range', { skip }, async () => {
+  const segmentFiles = [];
+  for (const [index, [startTime, endTime]] of [[0, 10], [20, 30]].entries()) {
+    const file = path.join(DOWNLOAD_DIR, `mix_segment${index}_${startTime}-${endTime}.mp3`);
+    makeAudio(file, endTime - startTime);
+    segmentFiles.push({ file, startTime, endTime, segmentIndex: index });
+  }
+  const tracks = [
+    { title: 'A', timestamp: { start: 15, end: 28 } },
+    { title: 'B', timestamp: { start: 11, end: 19 } }
+  ];
+
+  const clips = await saveTrackClips('segments', tracks, segmentFiles, null);
+  assert.deepEqual(clips, [{ start: 20, end: 28 }, null]);
+  assert.ok(Math.abs(duration(getClipFile('segments', 1)) - 8) < 0.2);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportTracklist } from '../src/utils/tracklistExport.js';
+
+function resultWith(plays, duration) {
+  return {
+    videoInfo: { title: 'Mix', duration },
+    identifiedTracks: plays.map(([title, start, end]) => ({ title, artist: 'X', confidence: 90, occurrences: [{ start, end, confidence: 90 }] }))
+  };
+}
+
+test('chapters start at 0:00 with an intro when the first track starts later', () => {
+  const chapters = exportTracklist(resultWith([['A', 30, 90], ['B', 90, 150]], 200), 'chapters');
+  assert.equal(chapters, '0:00 Intro\n0:30 X - A\n1:30 X - B\n');
+});
+
+test('a short intro is dropped and the first track moves to 0:00', () => {
+  const chapters = exportTracklist(resultWith([['A', 4, 60], ['B', 60, 120], ['C', 120, 180]], 180), 'chapters');
+  assert.equal(chapters, '0:00 X - A\n1:00 X - B\n2:00 X - C\n');
+});
+
+test('chapters shorter than 10 seconds go to the chapter before them', () => {
+  const chapters = exportTracklist(resultWith([['A', 0, 60], ['B', 60, 65], ['C', 65, 120], ['D', 120, 175]], 180), 'chapters');
+  assert.equal(chapters, '0:00 X - A\n1:05 X - C\n2:00 X - D\n');
+});
+
+test('a last chapter shorter than 10 seconds is dropped', () => {
+  const chapters = exportTracklist(resultWith([['A', 0, 60], ['B', 60, 120], ['C', 120, 170], ['D', 175, 180]], 180), 'chapters');
+  assert.equal(chapters, '0:00 X - A\n1:00 X - B\n2:00 X - C\n');
+});
+
+test('fewer than 3 chapters is an error', () => {
+  assert.throws(
+    () => exportTracklist(resultWith([['A', 0, 60], ['B', 60, 120], ['C', 120, 125]], 125), 'chapters'),
+    (error) => error.status === 422 && /at least 3 chapters/.test(error.message)
+  );
+  assert.throws(() => exportTracklist(resultWith([], 120), 'chapters'), { status: 422 });
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCallbackUrl } from '../src/services/webhooks.js';
+
+test('public http(s) addresses are accepted', async () => {
+  assert.equal(await checkCallbackUrl('https://93.184.216.34/hook'), null);
+  assert.equal(await checkCallbackUrl('http://[2606:4700::1111]/hook'), null);
+});
+
+test('non-http(s) URLs are refused', async () => {
+  assert.match(await checkCallbackUrl('ftp://93.184.216.34/hook'), /http\(s\)/);
+  assert.match(await checkCallbackUrl('not a url'), /http\(s\)/);
+});
+
+test('loopback, private and link-local addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1:5001/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.5/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ]) {
+    assert.match(await checkCallbackUrl(url), /private or local/, url);
+  }
+});
+
+test('host names resolving to a private address are refused', async () => {
+  assert.match(await checkCallbackUrl('http://localhost:5001/hook'), /private or local/);
+});
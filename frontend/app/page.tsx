@@ -1,22 +1,79 @@
 'use client'
 
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import VideoInput from '@/components/VideoInput'
 import Results from '@/components/Results'
+import PlaylistResults from '@/components/PlaylistResults'
 import Loading from '@/components/Loading'
 import { API_URL } from '@/lib/config'
+import { watchJob, watchBatch, type JobProgress, type LiveTrack } from '@/lib/jobUpdates'
+import { uploadFile } from '@/lib/upload'
+
+const INITIAL_PROGRESS: JobProgress = {
+  status: 'queued',
+  stage: null,
+  progress: 0,
+  downloadProgress: 0,
+  queuePosition: null,
+}
+
+const FAILURE_MESSAGES: Record<string, string> = {
+  failed: 'Processing failed',
+  interrupted: 'Processing was interrupted, please try again',
+  cancelled: 'Processing was cancelled',
+}
 
 export default function Home() {
   const [taskId, setTaskId] = useState<string | null>(null)
+  // Playlist/channel URLs are processed as a batch of videos
+  const [batchId, setBatchId] = useState<string | null>(null)
+  const [playlist, setPlaylist] = useState<{ title: string | null; finished: number; total: number } | null>(null)
   const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle')
   const [result, setResult] = useState<any>(null)
   const [error, setError] = useState<string | null>(null)
+  const [jobProgress, setJobProgress] = useState<JobProgress>(INITIAL_PROGRESS)
+  const [liveTracks, setLiveTracks] = useState<LiveTrack[]>([])
+  // Percent of a local file sent so far, null when not uploading
+  const [uploadProgress, setUploadProgress] = useState<number | null>(null)
+  const stopWatchingRef = useRef<(() => void) | null>(null)
+
+  const startProcessing = () => {
+    setStatus('processing')
+    setError(null)
+    setResult(null)
+    setJobProgress(INITIAL_PROGRESS)
+    setLiveTracks([])
+    setBatchId(null)
+    setPlaylist(null)
+    setUploadProgress(null)
+  }
+
+  // Follow progress (live stream, polling as fallback)
+  const followJob = (newTaskId: string) => {
+    setTaskId(newTaskId)
+    stopWatchingRef.current = watchJob(newTaskId, {
+      onUpdate: (update) => setJobProgress(current => ({ ...current, ...update })),
+      onTrack: (track) => setLiveTracks(current => [...current, track]),
+      onFinished: (finalStatus, finalResult, finalError) => {
+        if (finalStatus === 'completed') {
+          setResult(finalResult)
+          setStatus('completed')
+        } else {
+          setStatus('error')
+          setError(
+            (finalStatus === 'interrupted' && finalError) ||
+            FAILURE_MESSAGES[finalStatus] ||
+            finalError ||
+            'An error occurred'
+          )
+        }
+      },
+    })
+  }
 
   const handleExtract = async (videoUrl: string) => {
     try {
-      setStatus('processing')
-      setError(null)
-      setResult(null)
+      startProcessing()
       
       // Start extraction
       const response = await fetch(`${API_URL}/api/extract`, {
@@ -28,49 +85,71 @@ export default function Home() {
       })
 
       if (!response.ok) {
-        throw new Error('Failed to start extraction')
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to start extraction')
       }
 
       const data = await response.json()
-      setTaskId(data.taskId)
 
-      // Poll for results
-      pollStatus(data.taskId)
+      if (data.batchId) {
+        setBatchId(data.batchId)
+        setPlaylist({ title: data.playlist?.title ?? null, finished: 0, total: data.total })
+        stopWatchingRef.current = watchBatch(data.batchId, {
+          onUpdate: (update) => {
+            setPlaylist(current => current && { ...current, finished: update.finished, total: update.total })
+            setJobProgress(current => ({ ...current, status: 'processing', progress: update.progress, downloadProgress: 100 }))
+          },
+          onFinished: (finalResult, finalError) => {
+            if (finalResult) {
+              setResult(finalResult)
+              setStatus('completed')
+            } else {
+              setStatus('error')
+              setError(finalError || 'An error occurred')
+            }
+          },
+        })
+        return
+      }
+
+      followJob(data.taskId)
     } catch (err: any) {
       setStatus('error')
       setError(err.message || 'An error occurred')
     }
   }
 
-  const pollStatus = async (taskId: string) => {
-    const interval = setInterval(async () => {
-      try {
-        const statusResponse = await fetch(`${API_URL}/api/status/${taskId}`)
-        const statusData = await statusResponse.json()
-
-        if (statusData.status === 'completed') {
-          clearInterval(interval)
-          
-          const resultResponse = await fetch(`${API_URL}/api/result/${taskId}`)
-          const resultData = await resultResponse.json()
-          
-          setResult(resultData.result)
-          setStatus('completed')
-        } else if (statusData.status === 'failed') {
-          clearInterval(interval)
-          setStatus('error')
-          setError('Processing failed')
-        }
-      } catch (err) {
-        clearInterval(interval)
-        setStatus('error')
-        setError('Failed to check status')
-      }
-    }, 2000) // Poll every 2 seconds
+  const handleUpload = async (file: File) => {
+    try {
+      startProcessing()
+      setUploadProgress(0)
+
+      const data = await uploadFile(file, setUploadProgress)
+      setUploadProgress(null)
+      followJob(data.taskId)
+    } catch (err: any) {
+      setUploadProgress(null)
+      setStatus('error')
+      setError(err.message || 'An error occurred')
+    }
+  }
+
+  const handleCancel = async () => {
+    if (!taskId && !batchId) return
+    stopWatchingRef.current?.()
+
+    try {
+      await fetch(batchId ? `${API_URL}/api/batches/${batchId}` : `${API_URL}/api/jobs/${taskId}`, { method: 'DELETE' })
+    } catch (err) {
+      console.error('Error cancelling job:', err)
+    }
+    handleReset()
   }
 
   const handleReset = () => {
     setTaskId(null)
+    setBatchId(null)
+    setPlaylist(null)
     setStatus('idle')
     setResult(null)
     setError(null)
@@ -89,15 +168,24 @@ export default function Home() {
         </div>
 
         {status === 'idle' && (
-          <VideoInput onExtract={handleExtract} />
+          <VideoInput onExtract={handleExtract} onUpload={handleUpload} />
         )}
 
         {status === 'processing' && (
-          <Loading taskId={taskId} />
+          <Loading
+            taskId={taskId}
+            job={jobProgress}
+            tracks={liveTracks}
+            playlist={playlist ?? undefined}
+            uploadProgress={uploadProgress}
+            onCancel={handleCancel}
+          />
         )}
 
         {status === 'completed' && result && (
-          <Results result={result} onReset={handleReset} />
+          batchId
+            ? <PlaylistResults result={result} onReset={handleReset} />
+            : <Results result={result} taskId={taskId} onReset={handleReset} />
         )}
 
         {status === 'error' && (
@@ -1,11 +1,18 @@
 'use client'
 
-import { useEffect, useState } from 'react'
-import { Loader2, Music, Download, FileAudio, type LucideIcon } from 'lucide-react'
-import { API_URL } from '@/lib/config'
+import { useState } from 'react'
+import { Loader2, Music, Download, FileAudio, XCircle, type LucideIcon } from 'lucide-react'
+import type { JobProgress, LiveTrack } from '@/lib/jobUpdates'
 
 interface LoadingProps {
   taskId: string | null
+  job: JobProgress
+  tracks?: LiveTrack[]
+  // Set while processing a playlist/channel (a batch of videos)
+  playlist?: { title: string | null; finished: number; total: number }
+  // Set while a local file is being uploaded (0-100)
+  uploadProgress?: number | null
+  onCancel?: () => void
 }
 
 interface Step {
@@ -14,47 +21,22 @@ interface Step {
   progress: number
 }
 
-export default function Loading({ taskId }: LoadingProps) {
-  const [progress, setProgress] = useState(0)
-  const [downloadProgress, setDownloadProgress] = useState(0)
-  const [isDownloading, setIsDownloading] = useState(true)
+// Labels for the stages streamed by the backend
+const STAGES: Record<string, { icon: LucideIcon; label: string }> = {
+  downloading: { icon: Download, label: 'Downloading...' },
+  extracting: { icon: FileAudio, label: 'Processing audio...' },
+  classifying: { icon: FileAudio, label: 'Detecting music...' },
+  identifying: { icon: Music, label: 'Identifying music...' },
+  refining: { icon: Music, label: 'Pinpointing track boundaries...' },
+  finalizing: { icon: Music, label: 'Finishing up...' },
+}
 
-  useEffect(() => {
-    if (!taskId) return
-    
-    let interval: NodeJS.Timeout | null = null
-    
-    // Fetch immediately
-    const fetchStatus = async () => {
-      try {
-        const response = await fetch(`${API_URL}/api/status/${taskId}`)
-        const data = await response.json()
-        const newProgress = data.progress || 0
-        const newDownloadProgress = data.downloadProgress || 0
-        
-        setProgress(newProgress)
-        setDownloadProgress(newDownloadProgress)
-        
-        // Check if still downloading (download progress < 100)
-        setIsDownloading(newDownloadProgress < 100 && newProgress < 100)
-        
-        // Stop polling if completed or failed
-        if (data.status === 'completed' || data.status === 'failed') {
-          if (interval) clearInterval(interval)
-        }
-      } catch (error) {
-        console.error('Error fetching status:', error)
-      }
-    }
-    
-    // Fetch immediately, then poll every 500ms for smoother updates
-    fetchStatus()
-    interval = setInterval(fetchStatus, 500)
+export default function Loading({ taskId, job, tracks = [], playlist, uploadProgress = null, onCancel }: LoadingProps) {
+  const [isCancelling, setIsCancelling] = useState(false)
+  const { progress, downloadProgress, queuePosition } = job
 
-    return () => {
-      if (interval) clearInterval(interval)
-    }
-  }, [taskId])
+  // Still downloading while download progress < 100
+  const isDownloading = downloadProgress < 100 && progress < 100
 
   const steps: Step[] = [
     { icon: Download, label: 'Downloading...', progress: 40 },
@@ -62,11 +44,16 @@ export default function Loading({ taskId }: LoadingProps) {
     { icon: Music, label: 'Identifying music...', progress: 95 },
   ]
 
-  const currentStep = steps.find(step => progress < step.progress) || steps[steps.length - 1]
+  // Prefer the stage reported by the backend, estimate it from progress otherwise
+  const currentStep = (job.stage && STAGES[job.stage]) ||
+    steps.find(step => progress < step.progress) ||
+    steps[steps.length - 1]
   const CurrentStepIcon = currentStep.icon
   
-  // Use download progress (0-100%) when downloading, otherwise use overall progress
-  const displayProgress = isDownloading ? downloadProgress : progress
+  const isUploading = uploadProgress !== null
+
+  // Use upload/download progress (0-100%) while transferring, otherwise use overall progress
+  const displayProgress = isUploading ? uploadProgress : isDownloading ? downloadProgress : progress
 
   return (
     <div className="bg-white rounded-2xl shadow-xl p-8 max-w-2xl mx-auto">
@@ -76,8 +63,14 @@ export default function Loading({ taskId }: LoadingProps) {
         </div>
         
         <div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Processing Video</h2>
-          <p className="text-gray-600">This may take a few minutes...</p>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            {playlist ? `Processing ${playlist.title || 'Playlist'}` : isUploading ? 'Uploading File' : 'Processing Video'}
+          </h2>
+          <p className="text-gray-600">
+            {playlist
+              ? `${playlist.finished} of ${playlist.total} videos done`
+              : 'This may take a few minutes...'}
+          </p>
         </div>
 
         <div className="space-y-4">
@@ -88,7 +81,11 @@ export default function Loading({ taskId }: LoadingProps) {
             />
           </div>
           <p className="text-sm text-gray-600">
-            {isDownloading ? (
+            {isUploading ? (
+              <>Uploading: {uploadProgress}%</>
+            ) : queuePosition !== null ? (
+              <>Waiting in queue - position {queuePosition}</>
+            ) : isDownloading ? (
               <>Downloading: {Math.round(downloadProgress)}%</>
             ) : (
               <>{Math.round(progress)}% complete</>
@@ -96,10 +93,42 @@ export default function Loading({ taskId }: LoadingProps) {
           </p>
         </div>
 
-        <div className="flex items-center justify-center space-x-2 text-sm text-gray-500">
-          <CurrentStepIcon className="w-4 h-4" />
-          <span>{currentStep.label}</span>
-        </div>
+        {!playlist && !isUploading && (
+          <div className="flex items-center justify-center space-x-2 text-sm text-gray-500">
+            <CurrentStepIcon className="w-4 h-4" />
+            <span>{currentStep.label}</span>
+          </div>
+        )}
+
+        {tracks.length > 0 && (
+          <div className="text-left border-t border-gray-100 pt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Found so far</p>
+            <ul className="space-y-1">
+              {tracks.map((track, index) => (
+                <li key={index} className="flex items-center space-x-2 text-sm text-gray-600">
+                  <Music className="w-4 h-4 text-primary-600 flex-shrink-0" />
+                  <span className="truncate">
+                    <span className="font-medium text-gray-900">{track.title}</span> - {track.artist}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {onCancel && !isUploading && (
+          <button
+            onClick={() => {
+              setIsCancelling(true)
+              onCancel()
+            }}
+            disabled={isCancelling}
+            className="inline-flex items-center space-x-2 px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition"
+          >
+            <XCircle className="w-4 h-4" />
+            <span>{isCancelling ? 'Cancelling...' : 'Cancel'}</span>
+          </button>
+        )}
 
         {taskId && (
           <p className="text-xs text-gray-400">Task ID: {taskId.substring(0, 8)}...</p>
@@ -0,0 +1,132 @@
+'use client'
+
+import { Music, Download, RotateCcw, AlertCircle, ListVideo } from 'lucide-react'
+import { API_URL } from '@/lib/config'
+
+interface PlaylistResultsProps {
+  result: any
+  onReset: () => void
+}
+
+export default function PlaylistResults({ result, onReset }: PlaylistResultsProps) {
+  const formatTime = (seconds: number) => {
+    const mins = Math.floor(seconds / 60)
+    const secs = Math.floor(seconds % 60)
+    return `${mins}:${secs.toString().padStart(2, '0')}`
+  }
+
+  const downloadResult = (format: 'json' | 'csv') => {
+    window.open(`${API_URL}/api/batches/${result.batchId}/result?format=${format}`, '_blank')
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Playlist Summary */}
+      <div className="bg-white rounded-2xl shadow-xl p-6">
+        <div className="flex items-center gap-2 mb-2">
+          <ListVideo className="w-6 h-6 text-primary-600" />
+          <h2 className="text-2xl font-bold text-gray-900">
+            {result.source?.title || 'Playlist'}
+          </h2>
+        </div>
+        {result.source?.uploader && (
+          <p className="text-sm text-gray-600">{result.source.uploader}</p>
+        )}
+        <p className="text-sm text-gray-600 mt-2">
+          {result.videos.length} of {result.total} videos processed • Found {result.tracks.length} distinct tracks
+        </p>
+      </div>
+
+      {/* Tracks across the playlist */}
+      {result.tracks.length > 0 ? (
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <div className="flex items-center gap-2 mb-6">
+            <Music className="w-6 h-6 text-primary-600" />
+            <h3 className="text-2xl font-bold text-gray-900">
+              Identified Tracks ({result.tracks.length})
+            </h3>
+          </div>
+          <div className="space-y-4">
+            {result.tracks.map((track: any, index: number) => (
+              <div
+                key={index}
+                className="border border-gray-200 rounded-lg p-4 hover:border-primary-300 transition"
+              >
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <h4 className="text-lg font-semibold text-gray-900">{track.title}</h4>
+                    <p className="text-gray-600 mt-1">{track.artist}</p>
+                    <ul className="mt-3 space-y-1 text-sm text-gray-500">
+                      {track.appearances.map((appearance: any, i: number) => (
+                        <li key={i}>
+                          ⏱️ {formatTime(appearance.start)} - {formatTime(appearance.end)} in{' '}
+                          <a
+                            href={appearance.videoUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            {appearance.videoTitle || appearance.videoUrl}
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <span className="px-2 py-1 bg-primary-100 text-primary-700 rounded text-xs font-medium whitespace-nowrap">
+                    {track.videoCount} {track.videoCount === 1 ? 'video' : 'videos'}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 text-center">
+          <p className="text-yellow-800">No music tracks identified in this playlist.</p>
+        </div>
+      )}
+
+      {/* Videos without a result */}
+      {result.failures.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+          <div className="flex items-center gap-2 font-semibold mb-2">
+            <AlertCircle className="w-4 h-4" />
+            {result.failures.length} {result.failures.length === 1 ? 'video' : 'videos'} could not be processed
+          </div>
+          <ul className="space-y-1">
+            {result.failures.map((failure: any) => (
+              <li key={failure.taskId} className="truncate">
+                {failure.videoUrl} ({failure.status})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-4 justify-center">
+        <button
+          onClick={() => downloadResult('csv')}
+          className="flex items-center gap-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition font-semibold"
+        >
+          <Download className="w-5 h-5" />
+          Download CSV
+        </button>
+        <button
+          onClick={() => downloadResult('json')}
+          className="flex items-center gap-2 px-6 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-semibold"
+        >
+          <Download className="w-5 h-5" />
+          Download JSON
+        </button>
+        <button
+          onClick={onReset}
+          className="flex items-center gap-2 px-6 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-semibold"
+        >
+          <RotateCcw className="w-5 h-5" />
+          Extract Another Video
+        </button>
+      </div>
+    </div>
+  )
+}
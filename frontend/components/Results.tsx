@@ -1,26 +1,89 @@
 'use client'
 
+import { useEffect, useState } from 'react'
 import { CheckCircle2, Music, Clock, User, Download, RotateCcw, ExternalLink } from 'lucide-react'
 import Image from 'next/image'
 import { API_URL } from '@/lib/config'
+import { listDownloads, downloadArtifact, DownloadArtifact } from '@/lib/downloads'
 
 interface ResultsProps {
   result: any
+  taskId: string | null
   onReset: () => void
 }
 
-export default function Results({ result, onReset }: ResultsProps) {
+const exportFormats = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'cue', label: 'Cue sheet' },
+  { format: 'chapters', label: 'YouTube chapters' },
+  { format: 'srt', label: 'SRT subtitles' },
+  { format: 'edl', label: 'EDL' }
+]
+
+const audioFormats = [
+  { format: '', label: 'Original' },
+  { format: 'mp3', label: 'MP3' },
+  { format: 'wav', label: 'WAV' },
+  { format: 'flac', label: 'FLAC' },
+  { format: 'opus', label: 'Opus' },
+  { format: 'm4a', label: 'M4A' }
+]
+const lossyFormats = ['mp3', 'opus', 'm4a']
+const bitrates = [96, 128, 192, 256, 320]
+
+export default function Results({ result, taskId, onReset }: ResultsProps) {
+  const [artifacts, setArtifacts] = useState<DownloadArtifact[]>([])
+  const [audioFormat, setAudioFormat] = useState('')
+  const [bitrate, setBitrate] = useState(192)
+  const [downloadError, setDownloadError] = useState<string | null>(null)
+
+  // Segment mode never downloads the full audio (only the analyzed segments), and both are cleaned up an hour after the job
+  useEffect(() => {
+    if (!taskId) return
+    listDownloads(taskId)
+      .then(setArtifacts)
+      .catch(() => setArtifacts([]))
+  }, [taskId])
+
+  const findArtifact = (name: string) => artifacts.find((artifact) => artifact.name === name)
+  const audioArtifact = findArtifact('audio') || findArtifact('segments')
+
   const formatTime = (seconds: number) => {
     const mins = Math.floor(seconds / 60)
     const secs = Math.floor(seconds % 60)
     return `${mins}:${secs.toString().padStart(2, '0')}`
   }
 
-  const downloadAudio = () => {
-    const audioPath = result.audioMetadata.audioFile || ''
-    // Pass the full path, backend will extract filename securely
-    const pathParam = encodeURIComponent(audioPath)
-    window.open(`${API_URL}/api/download/${pathParam}`, '_blank')
+  const timelineColors: Record<string, string> = {
+    music: 'bg-primary-500',
+    mixed: 'bg-primary-300',
+    speech: 'bg-amber-400',
+    silence: 'bg-gray-300'
+  }
+
+  const downloadAudio = async () => {
+    if (!taskId || !audioArtifact) return
+    setDownloadError(null)
+    try {
+      await downloadArtifact(taskId, audioArtifact.name, audioFormat || undefined, lossyFormats.includes(audioFormat) ? bitrate : undefined)
+    } catch (err: any) {
+      setDownloadError(err.message)
+      setArtifacts((current) => current.filter((artifact) => artifact.name !== audioArtifact.name))
+    }
+  }
+
+  const downloadClip = async (trackNumber: number) => {
+    if (!taskId) return
+    setDownloadError(null)
+    try {
+      await downloadArtifact(taskId, `clip-${trackNumber}`)
+    } catch (err: any) {
+      setDownloadError(err.message)
+    }
+  }
+
+  const downloadTracklist = (format: string) => {
+    window.open(`${API_URL}/api/result/${taskId}/export?format=${format}`, '_blank')
   }
 
   return (
@@ -72,6 +135,41 @@ export default function Results({ result, onReset }: ResultsProps) {
         </div>
       </div>
 
+      {result.processingInfo?.status === 'quota_exhausted' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+          The recognition quota for {result.processingInfo.quotaExhaustedProviders?.join(', ')} ran out during
+          this job, so some parts of the video were not identified.
+        </div>
+      )}
+
+      {/* Music / speech timeline */}
+      {result.audioTimeline && result.audioTimeline.length > 0 && result.videoInfo.duration > 0 && (
+        <div className="bg-white rounded-2xl shadow-xl p-6">
+          <h3 className="text-xl font-bold text-gray-900 mb-4">Where the Music Is</h3>
+          <div className="relative h-6 bg-gray-100 rounded overflow-hidden">
+            {result.audioTimeline.map((entry: any, index: number) => (
+              <div
+                key={index}
+                title={`${entry.label}: ${formatTime(entry.start)} - ${formatTime(entry.end)}`}
+                className={`absolute top-0 h-full ${timelineColors[entry.label] || 'bg-gray-300'}`}
+                style={{
+                  left: `${(entry.start / result.videoInfo.duration) * 100}%`,
+                  width: `${((entry.end - entry.start) / result.videoInfo.duration) * 100}%`
+                }}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 mt-3 text-sm text-gray-600">
+            {Object.entries(timelineColors).map(([label, color]) => (
+              <span key={label} className="flex items-center gap-1 capitalize">
+                <span className={`w-3 h-3 rounded ${color}`} />
+                {label}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Identified Tracks */}
       {result.identifiedTracks && result.identifiedTracks.length > 0 ? (
         <div className="bg-white rounded-2xl shadow-xl p-6">
@@ -106,7 +204,55 @@ export default function Results({ result, onReset }: ResultsProps) {
                         <CheckCircle2 className="w-4 h-4 text-green-500" />
                         {track.confidence}% match
                       </span>
+                      {track.speedFactor && track.speedFactor !== 1 && (
+                        <span className="px-2 py-0.5 bg-amber-100 text-amber-700 rounded text-xs font-medium">
+                          {track.speedFactor > 1 ? 'Sped up' : 'Slowed'} {track.speedFactor}x
+                        </span>
+                      )}
+                      {track.source === 'custom' && (
+                        <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded text-xs font-medium">
+                          Custom library
+                        </span>
+                      )}
                     </div>
+                    {track.clip && findArtifact(`clip-${index + 1}`) && (
+                      <div className="flex items-center gap-3 mt-3">
+                        <audio
+                          controls
+                          preload="none"
+                          src={`${API_URL}${findArtifact(`clip-${index + 1}`)!.url}`}
+                          className="h-9 flex-1"
+                        />
+                        <button
+                          onClick={() => downloadClip(index + 1)}
+                          title={`Download clip (${formatTime(track.clip.start)} - ${formatTime(track.clip.end)})`}
+                          className="text-gray-500 hover:text-primary-600"
+                        >
+                          <Download className="w-5 h-5" />
+                        </button>
+                      </div>
+                    )}
+                    {track.occurrences && track.occurrences.length > 1 && (
+                      <p className="mt-2 text-sm text-gray-500">
+                        Plays {track.occurrences.length} times:{' '}
+                        {track.occurrences
+                          .map((occurrence: any) => `${formatTime(occurrence.start)} - ${formatTime(occurrence.end)}`)
+                          .join(', ')}
+                      </p>
+                    )}
+                    {track.candidates && track.candidates.length > 1 && (
+                      <div className="mt-3 text-sm text-gray-500">
+                        <p className="font-medium text-gray-600">Other candidates</p>
+                        <ul className="mt-1 space-y-1">
+                          {track.candidates.slice(1).map((candidate: any) => (
+                            <li key={candidate.rank}>
+                              #{candidate.rank} {candidate.title} - {candidate.artist} ({candidate.confidence}%)
+                              {candidate.source === 'custom' && ' • custom library'}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -154,20 +300,72 @@ export default function Results({ result, onReset }: ResultsProps) {
           <p>
             Processed in {result.processingInfo.processingTime}s • 
             Analyzed {result.processingInfo.segmentsAnalyzed} segments • 
+            {result.processingInfo.coverage && (
+              <>Covered {result.processingInfo.coverage.percent}% of the video • </>
+            )}
+            {result.processingInfo.segmentsSkipped > 0 && (
+              <>Skipped {result.processingInfo.segmentsSkipped} without music • </>
+            )}
             Found {result.processingInfo.tracksFound} tracks
           </p>
         </div>
       )}
 
+      {/* Tracklist exports */}
+      {taskId && result.identifiedTracks && result.identifiedTracks.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 justify-center text-sm">
+          <span className="text-gray-600">Download tracklist:</span>
+          {exportFormats.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => downloadTracklist(format)}
+              className="flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-200 text-gray-700 rounded-lg hover:border-primary-300 hover:text-primary-700 transition font-medium"
+            >
+              <Download className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {downloadError && (
+        <p className="text-center text-sm text-red-600">{downloadError}</p>
+      )}
+
       {/* Actions */}
-      <div className="flex gap-4 justify-center">
-        <button
-          onClick={downloadAudio}
-          className="flex items-center gap-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition font-semibold"
-        >
-          <Download className="w-5 h-5" />
-          Download Audio
-        </button>
+      <div className="flex flex-wrap gap-4 justify-center items-center">
+        {audioArtifact && (
+          <div className="flex items-center gap-2">
+            <select
+              value={audioFormat}
+              onChange={(e) => setAudioFormat(e.target.value)}
+              className="px-3 py-3 border border-gray-200 rounded-lg text-gray-700"
+            >
+              {audioFormats.map(({ format, label }) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+            {lossyFormats.includes(audioFormat) && (
+              <select
+                value={bitrate}
+                onChange={(e) => setBitrate(Number(e.target.value))}
+                className="px-3 py-3 border border-gray-200 rounded-lg text-gray-700"
+              >
+                {bitrates.map((kbps) => (
+                  <option key={kbps} value={kbps}>{kbps} kbps</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={downloadAudio}
+              title={audioArtifact.name === 'segments' ? 'Only the parts that were analyzed, joined back to back' : undefined}
+              className="flex items-center gap-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition font-semibold"
+            >
+              <Download className="w-5 h-5" />
+              {audioArtifact.name === 'segments' ? 'Download Analyzed Audio' : 'Download Audio'}
+            </button>
+          </div>
+        )}
         <button
           onClick={onReset}
           className="flex items-center gap-2 px-6 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition font-semibold"
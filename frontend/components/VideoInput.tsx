@@ -1,15 +1,20 @@
 'use client'
 
-import { useState } from 'react'
-import { Search } from 'lucide-react'
+import { useRef, useState } from 'react'
+import { Search, Upload } from 'lucide-react'
 
 interface VideoInputProps {
   onExtract: (url: string) => void
+  onUpload?: (file: File) => void
 }
 
-export default function VideoInput({ onExtract }: VideoInputProps) {
+// Kept in sync with the backend's upload whitelist (routes/upload.js)
+const UPLOAD_ACCEPT = 'audio/*,video/*,.mp4,.mov,.mkv,.webm,.avi,.m4v,.mxf,.mp3,.wav,.aif,.aiff,.flac,.m4a,.aac,.ogg,.opus'
+
+export default function VideoInput({ onExtract, onUpload }: VideoInputProps) {
   const [url, setUrl] = useState('')
   const [isValid, setIsValid] = useState(true)
+  const fileInputRef = useRef<HTMLInputElement>(null)
 
   const validateUrl = (url: string) => {
     try {
@@ -77,6 +82,30 @@ export default function VideoInput({ onExtract }: VideoInputProps) {
           Extract Audio & Identify Music
         </button>
       </form>
+
+      {onUpload && (
+        <div className="mt-6 pt-6 border-t border-gray-100 text-center">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={UPLOAD_ACCEPT}
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0]
+              e.target.value = ''
+              if (file) onUpload(file)
+            }}
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition"
+          >
+            <Upload className="w-4 h-4" />
+            Or upload an audio/video file
+          </button>
+        </div>
+      )}
     </div>
   )
 }
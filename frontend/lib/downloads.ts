@@ -0,0 +1,37 @@
+import { API_URL } from '@/lib/config'
+
+export interface DownloadArtifact {
+  name: string
+  size: number
+  url: string
+  expiresAt: string
+}
+
+/**
+ * Downloadable files of a completed job, each with a fresh expiring link
+ */
+export async function listDownloads(taskId: string): Promise<DownloadArtifact[]> {
+  const response = await fetch(`${API_URL}/api/jobs/${taskId}/downloads`)
+  if (!response.ok) {
+    throw new Error('Failed to list downloads')
+  }
+  const data = await response.json()
+  return data.artifacts
+}
+
+/**
+ * Start downloading one artifact, converted to format/bitrate (kbps) when given
+ * Links are fetched right before use, so an old results page never hits an expired token.
+ */
+export async function downloadArtifact(taskId: string, name: string, format?: string, bitrate?: number) {
+  const artifact = (await listDownloads(taskId)).find((candidate) => candidate.name === name)
+  if (!artifact) {
+    throw new Error('This file is no longer available')
+  }
+  const params = new URLSearchParams()
+  if (format) params.set('format', format)
+  if (format && bitrate) params.set('bitrate', String(bitrate))
+  const query = params.toString()
+  // Served as an attachment, so the page stays where it is
+  window.location.href = `${API_URL}${artifact.url}${query ? `&${query}` : ''}`
+}
@@ -0,0 +1,168 @@
+import { API_URL } from '@/lib/config'
+
+/**
+ * Live job updates
+ * Uses the backend's Server-Sent Events stream (/api/jobs/:taskId/events) and falls
+ * back to polling /api/status when EventSource isn't available or the stream breaks.
+ */
+
+export interface JobProgress {
+  status: string
+  stage: string | null
+  progress: number
+  downloadProgress: number
+  queuePosition: number | null
+}
+
+export interface LiveTrack {
+  title: string
+  artist: string
+  confidence: number
+  timestamp?: { start: number; end: number }
+}
+
+interface JobHandlers {
+  onUpdate: (update: Partial<JobProgress>) => void
+  onTrack?: (track: LiveTrack) => void
+  onFinished: (status: string, result: any, error?: string) => void
+}
+
+const POLL_INTERVAL = 2000
+const FINISHED_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled']
+
+/**
+ * Watch a job until it finishes, returns a function that stops watching
+ */
+export function watchJob(taskId: string, handlers: JobHandlers): () => void {
+  let stopped = false
+  let source: EventSource | null = null
+  let pollTimer: ReturnType<typeof setInterval> | null = null
+  let result: any = null
+
+  const stop = () => {
+    stopped = true
+    source?.close()
+    if (pollTimer) clearInterval(pollTimer)
+  }
+
+  const finish = async (status: string, error?: string) => {
+    if (stopped) return
+    stop()
+
+    // Joined after the job completed - the stream may not have carried the result
+    if (status === 'completed' && !result) {
+      try {
+        const response = await fetch(`${API_URL}/api/result/${taskId}`)
+        result = (await response.json()).result
+      } catch (err) {
+        handlers.onFinished('error', null, 'Failed to load results')
+        return
+      }
+    }
+    handlers.onFinished(status, result, error)
+  }
+
+  const handleStatus = (data: any) => {
+    handlers.onUpdate({
+      ...data,
+      queuePosition: data.status === 'queued' ? data.queuePosition ?? null : null,
+    })
+    if (FINISHED_STATUSES.includes(data.status)) {
+      finish(data.status, data.error)
+    }
+  }
+
+  const startPolling = () => {
+    if (stopped || pollTimer) return
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/status/${taskId}`)
+        handleStatus(await response.json())
+      } catch (err) {
+        stop()
+        handlers.onFinished('error', null, 'Failed to check status')
+      }
+    }
+    poll()
+    pollTimer = setInterval(poll, POLL_INTERVAL)
+  }
+
+  if (typeof EventSource === 'undefined') {
+    startPolling()
+    return stop
+  }
+
+  source = new EventSource(`${API_URL}/api/jobs/${taskId}/events`)
+  const on = (type: string, handler: (data: any) => void) => {
+    source?.addEventListener(type, (event) => handler(JSON.parse((event as MessageEvent).data)))
+  }
+
+  on('snapshot', handleStatus)
+  on('status', handleStatus)
+  on('progress', (data) => handlers.onUpdate(data))
+  on('stage', (data) => handlers.onUpdate(data))
+  on('queue', (data) => handlers.onUpdate(data))
+  on('track', (data) => handlers.onTrack?.(data))
+  on('result', (data) => {
+    result = data.result
+  })
+
+  // Connection lost (proxy without streaming support, server restart, ...) - poll instead
+  source.onerror = () => {
+    source?.close()
+    source = null
+    startPolling()
+  }
+
+  return stop
+}
+
+export interface BatchProgress {
+  total: number
+  finished: number
+  progress: number
+  counts: Record<string, number>
+}
+
+interface BatchHandlers {
+  onUpdate: (update: BatchProgress) => void
+  onFinished: (result: any, error?: string) => void
+}
+
+/**
+ * Watch a batch (e.g. an expanded playlist) until every video finished, then load the
+ * combined result. Batches have no event stream, so this polls /api/batches/:batchId.
+ */
+export function watchBatch(batchId: string, handlers: BatchHandlers): () => void {
+  let stopped = false
+
+  const stop = () => {
+    stopped = true
+    clearInterval(pollTimer)
+  }
+
+  const poll = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/batches/${batchId}`)
+      if (!response.ok) throw new Error('Batch not found')
+      const data = await response.json()
+      if (stopped) return
+      handlers.onUpdate(data)
+
+      if (data.status === 'completed') {
+        stop()
+        const resultResponse = await fetch(`${API_URL}/api/batches/${batchId}/result`)
+        handlers.onFinished(await resultResponse.json())
+      }
+    } catch (err) {
+      if (stopped) return
+      stop()
+      handlers.onFinished(null, 'Failed to check status')
+    }
+  }
+
+  const pollTimer = setInterval(poll, POLL_INTERVAL)
+  poll()
+  return stop
+}
@@ -0,0 +1,37 @@
+import { API_URL } from '@/lib/config'
+
+/**
+ * Upload a local audio/video file to POST /api/upload
+ * Uses XMLHttpRequest because fetch can't report upload progress.
+ * Resolves with the response body ({ taskId, status, ... }).
+ */
+export function uploadFile(file: File, onProgress: (percent: number) => void): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    const form = new FormData()
+    form.append('file', file)
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100))
+      }
+    }
+    xhr.onload = () => {
+      let data: any = {}
+      try {
+        data = JSON.parse(xhr.responseText)
+      } catch {
+        // not JSON (proxy error page, ...)
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data)
+      } else {
+        reject(new Error(data.error || 'Failed to upload file'))
+      }
+    }
+    xhr.onerror = () => reject(new Error('Failed to upload file'))
+
+    xhr.open('POST', `${API_URL}/api/upload`)
+    xhr.send(form)
+  })
+}